@@ -0,0 +1,252 @@
+// Sexual Abuse Suspicion Score - Batch scoring
+// Parses a cohort CSV (one column per model variable), scores every row with the engine
+// and builds the result CSV. Pure module: the file is read and written by the page, never uploaded.
+
+import { ScorerError, ModelNotFoundError } from './scorer.js';
+
+// Columns appended to every row of the result file
+export const RESULT_COLUMNS = [
+    'probability',
+    'ci_lower',
+    'ci_upper',
+    'model',
+    'model_selection',
+    'uncertainty_level',
+    'interpretation_level',
+    'extrapolation',
+    'error'
+];
+
+const TRUE_VALUES = ['yes', 'oui', 'true', '1', 'y', 'o'];
+const FALSE_VALUES = ['no', 'non', 'false', '0', 'n'];
+const UNKNOWN_VALUES = ['', 'unknown', 'na', 'n/a', '?', 'ne sait pas', "don't know"];
+
+// Guess the delimiter from the header line (French spreadsheets export with ';')
+export function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map(d => [d, firstLine.split(d).length - 1]);
+    counts.sort((a, b) => b[1] - a[1]);
+    return counts[0][1] > 0 ? counts[0][0] : ',';
+}
+
+// Parse CSV text into records { line, cells }, following RFC 4180 quoting
+// line: the line the record starts on, counting every line of the file (the first one is 1), so that
+// messages point at the row a spreadsheet shows. Empty lines are skipped; rows of empty cells (';;;')
+// are kept, as they are patients with no known answer.
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const records = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    // Strip the byte order mark that spreadsheet software often adds
+    if (text.charCodeAt(0) === 0xFEFF) {
+        text = text.slice(1);
+    }
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            records.push({ line: rowLine, cells: row });
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    // Last line without trailing newline
+    if (field !== '' || row.length > 0) {
+        endRow();
+    }
+
+    return records;
+}
+
+// Serialise rows (arrays of values) to CSV text, quoting only when needed
+export function toCsv(rows, delimiter = ',') {
+    const escapeCell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        if (text.includes(delimiter) || text.includes('"') || text.includes('\n') || text.includes('\r')) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    };
+
+    return rows.map(row => row.map(escapeCell).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+// Result of parseCell for a malformed cell
+function cellError(message, code, variable, rawValue) {
+    return { error: message, issue: { code, params: { variable: variable.id, value: rawValue } } };
+}
+
+// Convert one CSV cell to a scorer input value
+// Returns { value } or { error, issue } so that malformed cells are reported instead of thrown:
+// error is the English text written to the result file, issue its { code, params } for the page
+// (catalog key batch.errors.<code>)
+export function parseCell(variable, rawValue) {
+    const text = (rawValue ?? '').trim().toLowerCase();
+
+    if (UNKNOWN_VALUES.includes(text)) {
+        return { value: null };
+    }
+
+    if (variable.type === 'boolean') {
+        if (TRUE_VALUES.includes(text)) return { value: true };
+        if (FALSE_VALUES.includes(text)) return { value: false };
+        return cellError(`${variable.id}: "${rawValue}" is not yes/no/blank`, 'not_yes_no', variable, rawValue);
+    }
+
+    // Numeric: accept a decimal comma as written by French spreadsheets
+    const normalized = text.replace(',', '.');
+    const numValue = Number(normalized);
+    if (normalized === '' || !Number.isFinite(numValue)) {
+        return cellError(`${variable.id}: "${rawValue}" is not a number`, 'not_number', variable, rawValue);
+    }
+    if (numValue < 0) {
+        return cellError(`${variable.id}: ${rawValue} must not be negative`, 'negative', variable, rawValue);
+    }
+    return { value: numValue };
+}
+
+// Score every data record of a parsed CSV (see parseCsv)
+// Returns the per-row results, the row-level errors and the variables missing from the header.
+// Every record gets a result row, with an error when it cannot be scored (e.g. no known variable):
+// its English text, and its issues as { code, params } (see parseCell).
+// Throws a ScorerError whose details.code is 'empty_file' or 'no_matching_column'.
+export function scoreRows(scorer, rows, options = {}) {
+    if (rows.length === 0) {
+        throw new ScorerError('The CSV file is empty', { code: 'empty_file' });
+    }
+
+    const header = rows[0].cells.map(cell => cell.trim());
+    const columnIndex = {};
+    header.forEach((name, index) => {
+        columnIndex[name.toLowerCase()] = index;
+    });
+
+    const missingColumns = scorer.variables
+        .filter(variable => columnIndex[variable.id.toLowerCase()] === undefined)
+        .map(variable => variable.id);
+
+    if (missingColumns.length === scorer.variables.length) {
+        const expected = scorer.variables.map(v => v.id).join(', ');
+        throw new ScorerError(`No column matches a model variable. Expected columns: ${expected}`,
+            { code: 'no_matching_column', expected });
+    }
+
+    const results = [];
+    const errors = [];
+
+    rows.slice(1).forEach(({ line, cells }) => {
+        const inputs = {};
+        const cellErrors = [];
+        const issues = [];
+
+        scorer.variables.forEach(variable => {
+            const column = columnIndex[variable.id.toLowerCase()];
+            const parsed = parseCell(variable, column === undefined ? '' : cells[column]);
+            if (parsed.error) {
+                cellErrors.push(parsed.error);
+                issues.push(parsed.issue);
+            } else {
+                inputs[variable.id] = parsed.value;
+            }
+        });
+
+        let result = null;
+        let error = cellErrors.join('; ');
+
+        if (cellErrors.length === 0) {
+            try {
+                result = scorer.score(inputs, options);
+                if (!result) {
+                    error = 'no known variable';
+                    issues.push({ code: 'no_known_variable', params: {} });
+                }
+            } catch (scoreError) {
+                if (!(scoreError instanceof ScorerError)) {
+                    throw scoreError;
+                }
+                error = scoreError.message;
+                issues.push(scoreError instanceof ModelNotFoundError
+                    ? { code: 'no_model', params: { variables: scoreError.details.knownVariables.join(', ') } }
+                    : { code: 'scoring', params: { message: scoreError.message } });
+            }
+        }
+
+        if (error) {
+            errors.push({ line, message: error, issues });
+        }
+        results.push({ line, cells, result, error, issues });
+    });
+
+    return { header, results, errors, missingColumns };
+}
+
+// Build the output rows: the original columns followed by RESULT_COLUMNS
+export function buildResultRows({ header, results }) {
+    const format = (value) => (value === null || value === undefined ? '' : value.toFixed(4));
+
+    const rows = [[...header, ...RESULT_COLUMNS]];
+    results.forEach(({ cells, result, error }) => {
+        const padded = header.map((_, index) => cells[index] ?? '');
+        if (result) {
+            rows.push([
+                ...padded,
+                format(result.probability),
+                format(result.confidenceInterval.lower),
+                format(result.confidenceInterval.upper),
+                result.selectedModel,
+                // "exact", or "nested:<reason>" when the exact subset model could not be used
+                result.modelSelection.strategy === 'exact' ? 'exact' : `nested:${result.modelSelection.reason}`,
+                result.uncertaintyWarnings[0].severity,
+                result.interpretation.level,
+                // e.g. "out_of_range:work_disability_months rare_combination"
+                result.extrapolationWarnings.map(warning => (warning.variable ? `${warning.code}:${warning.variable}` : warning.code)).join(' '),
+                ''
+            ]);
+        } else {
+            rows.push([...padded, '', '', '', '', '', '', '', '', error]);
+        }
+    });
+    return rows;
+}
+
+// Header-only CSV listing the expected columns, offered as a template
+export function buildTemplate(variables, delimiter = ',') {
+    return toCsv([variables.map(variable => variable.id)], delimiter);
+}
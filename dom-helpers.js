@@ -0,0 +1,24 @@
+// Sexual Abuse Suspicion Score - DOM helpers
+// Shared by the app and the self-test, model explorer and recalibration pages.
+
+// Escape text before inserting it into HTML (CSV cells and error messages come from user files)
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Offer generated content as a file download (built locally, nothing is uploaded)
+export function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,195 @@
+// Sexual Abuse Suspicion Score - Embedding protocol
+// index.html?embed=1 runs the app inside a host page's iframe. The host and the app talk through
+// window.postMessage, and only with the origins listed in the URL (?origin=https://ehr.example,...;
+// default: the app's own origin) that the deployment allows in embed-origins.json. The host page writes
+// that URL, so an origin it lists is only a request. Messages from any other origin are ignored, and
+// results are only ever posted to an allowed origin, never to '*'.
+//
+// Host -> app:
+//   { type: 'abuse-score:set', id?, answers?, replaceAnswers?, language?, targetPrevalence? }
+//   { type: 'abuse-score:clear', id? }
+//   { type: 'abuse-score:get-result', id? }
+// App -> host:
+//   { type: 'abuse-score:ready', protocol, modelVersion, languages, variables }
+//   { type: 'abuse-score:result', id?, protocol, modelVersion, answers, result }   (result null: no answer known)
+//   { type: 'abuse-score:error', id?, protocol, code, message }
+// id is any value chosen by the host, echoed in the reply to that message (results of 'set' arrive as
+// ordinary result events). Error codes: those of EmbedError, plus 'calculation_failed' and
+// 'model_unavailable' (sent instead of 'ready' when model.json cannot be loaded).
+// No DOM access: the page applies the parsed messages and builds the payloads with these helpers.
+
+export const EMBED_QUERY_PARAM = 'embed';
+export const EMBED_ORIGIN_PARAM = 'origin';
+export const EMBED_CHROME_PARAM = 'chrome';
+export const EMBED_PROTOCOL_VERSION = 1;
+// Deployment configuration next to model.json: { "origins": ["https://ehr.example", ...] }
+export const EMBED_ORIGINS_URL = 'embed-origins.json';
+
+export const MESSAGE_PREFIX = 'abuse-score:';
+export const MESSAGE_TYPES = Object.freeze({
+    set: 'abuse-score:set',
+    clear: 'abuse-score:clear',
+    getResult: 'abuse-score:get-result',
+    ready: 'abuse-score:ready',
+    result: 'abuse-score:result',
+    error: 'abuse-score:error'
+});
+
+// Raised with a code sent back to the host in an 'abuse-score:error' message:
+// 'unknown_type', 'invalid_message', 'unknown_variable', 'invalid_answer', 'invalid_language', 'invalid_prevalence'
+export class EmbedError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'EmbedError';
+        this.code = code;
+    }
+}
+
+const ORIGIN_PATTERN = /^https?:\/\/[^/?#]+$/;
+
+// Host origins allowed by embed-origins.json; malformed entries are left out
+export function parseEmbedOrigins(config) {
+    const origins = config && Array.isArray(config.origins) ? config.origins : [];
+    return origins.filter(origin => typeof origin === 'string' && ORIGIN_PATTERN.test(origin));
+}
+
+// Embedding options of the page URL: { enabled, origins, ignoredOrigins, hideChrome }
+// The origins listed in the URL are kept when allowedOrigins (see parseEmbedOrigins) has them or when
+// they are the app's own origin, ownOrigin; the others are returned in ignoredOrigins. ownOrigin is
+// used when none is kept.
+export function readEmbedOptions(search, ownOrigin, allowedOrigins = []) {
+    const params = new URLSearchParams(search);
+    const listed = (params.get(EMBED_ORIGIN_PARAM) || '')
+        .split(',')
+        .map(origin => origin.trim())
+        .filter(origin => ORIGIN_PATTERN.test(origin));
+    const allowed = listed.filter(origin => origin === ownOrigin || allowedOrigins.includes(origin));
+
+    return {
+        enabled: params.get(EMBED_QUERY_PARAM) === '1',
+        origins: allowed.length > 0 ? allowed : [ownOrigin],
+        ignoredOrigins: listed.filter(origin => !allowed.includes(origin)),
+        hideChrome: params.get(EMBED_CHROME_PARAM) === 'minimal'
+    };
+}
+
+export function isAllowedOrigin(options, origin) {
+    return options.origins.includes(origin);
+}
+
+// Check one answer against its variable: true / false / null for booleans, a number within
+// the variable's range or null for numeric ones
+function checkAnswer(variable, value) {
+    if (value === null) {
+        return;
+    }
+    const valid = variable.type === 'boolean'
+        ? typeof value === 'boolean'
+        : Number.isFinite(value) &&
+          (variable.min === undefined || value >= variable.min) &&
+          (variable.max === undefined || value <= variable.max);
+    if (!valid) {
+        throw new EmbedError('invalid_answer', `Invalid answer for ${variable.id}: ${JSON.stringify(value)}`);
+    }
+}
+
+// Parse a message from the host into { type, id, answers, replaceAnswers, language, targetPrevalence }.
+// Returns null for messages that are not part of the protocol (other scripts of the host may post
+// to the frame too); throws an EmbedError for protocol messages that cannot be applied.
+// isLanguage(code) tells whether the app supports a language.
+export function parseHostMessage(data, variables, isLanguage) {
+    if (!data || typeof data !== 'object' || typeof data.type !== 'string' || !data.type.startsWith(MESSAGE_PREFIX)) {
+        return null;
+    }
+    const id = data.id ?? null;
+    if (data.type === MESSAGE_TYPES.clear || data.type === MESSAGE_TYPES.getResult) {
+        return { type: data.type, id };
+    }
+    if (data.type !== MESSAGE_TYPES.set) {
+        throw new EmbedError('unknown_type', `Unknown message type ${data.type}`);
+    }
+
+    let answers = null;
+    if (data.answers !== undefined) {
+        if (!data.answers || typeof data.answers !== 'object' || Array.isArray(data.answers)) {
+            throw new EmbedError('invalid_message', 'answers must be an object of { variableId: value }');
+        }
+        answers = {};
+        Object.entries(data.answers).forEach(([variableId, value]) => {
+            const variable = variables.find(v => v.id === variableId);
+            if (!variable) {
+                throw new EmbedError('unknown_variable', `Unknown variable ${variableId}`);
+            }
+            checkAnswer(variable, value);
+            answers[variableId] = value;
+        });
+    }
+
+    if (data.language !== undefined && !isLanguage(data.language)) {
+        throw new EmbedError('invalid_language', `Unsupported language ${data.language}`);
+    }
+
+    const prevalence = data.targetPrevalence;
+    if (prevalence !== undefined && !(Number.isFinite(prevalence) && prevalence > 0 && prevalence < 1)) {
+        throw new EmbedError('invalid_prevalence', 'targetPrevalence must be a proportion between 0 and 1 (exclusive)');
+    }
+
+    return {
+        type: data.type,
+        id,
+        answers,
+        replaceAnswers: data.replaceAnswers === true,
+        language: data.language ?? null,
+        targetPrevalence: prevalence ?? null
+    };
+}
+
+// 'abuse-score:ready' payload: what the host needs to pre-fill the form
+export function readyMessage(modelData, languages) {
+    return {
+        type: MESSAGE_TYPES.ready,
+        protocol: EMBED_PROTOCOL_VERSION,
+        modelVersion: modelData.metadata ? modelData.metadata.version ?? null : null,
+        languages,
+        variables: modelData.variables.map(variable => ({
+            id: variable.id,
+            type: variable.type,
+            ...(variable.type === 'numeric' ? { min: variable.min ?? null, max: variable.max ?? null, unit: variable.unit ?? null } : {})
+        }))
+    };
+}
+
+// 'abuse-score:result' payload for a scorer result (null: no answer is known)
+export function resultMessage(modelData, answers, result, id = null) {
+    return {
+        type: MESSAGE_TYPES.result,
+        id,
+        protocol: EMBED_PROTOCOL_VERSION,
+        modelVersion: modelData.metadata ? modelData.metadata.version ?? null : null,
+        answers,
+        result: result && {
+            probability: result.probability,
+            ciLower: result.confidenceInterval.lower,
+            ciUpper: result.confidenceInterval.upper,
+            ciLevel: result.confidenceInterval.level,
+            targetPrevalence: result.targetPrevalence,
+            level: result.interpretation.level,
+            cutoffs: { moderate: result.cutoffs.moderate, high: result.cutoffs.high },
+            uncertainty: result.uncertaintyWarnings[0].severity,
+            model: result.selectedModel,
+            modelSelection: {
+                strategy: result.modelSelection.strategy,
+                reason: result.modelSelection.reason,
+                droppedVariables: result.modelSelection.droppedVariables
+            },
+            knownVariables: result.knownVariables,
+            unknownVariables: result.unknownVariables,
+            extrapolation: result.extrapolationWarnings.map(warning => ({ code: warning.code, variable: warning.variable ?? null })),
+            siteRecalibration: result.recalibration && { site: result.recalibration.site, scope: result.recalibration.scope }
+        }
+    };
+}
+
+export function errorMessage(code, message, id = null) {
+    return { type: MESSAGE_TYPES.error, id, protocol: EMBED_PROTOCOL_VERSION, code, message };
+}
@@ -0,0 +1,147 @@
+// Sexual Abuse Suspicion Score - <abuse-suspicion-score> custom element for host pages
+// Loaded by the host, not by the app:
+//   <script type="module" src="https://score.example/embed.js"></script>
+//   <abuse-suspicion-score language="fr" target-prevalence="0.1" chrome="minimal"></abuse-suspicion-score>
+// The element opens index.html?embed=1 (next to this file, or the src attribute) in an iframe, lists the
+// host page's origin in its URL (the deployment must allow it in embed-origins.json), and wraps the
+// postMessage protocol of embed-protocol.js:
+// - attributes: src, language, target-prevalence (proportion), chrome ("minimal": no title, folded disclaimer)
+// - methods: setAnswers(answers, { replace }), setLanguage(code), setTargetPrevalence(p), clear(), getResult()
+// - events: 'abuse-score-ready', 'abuse-score-result', 'abuse-score-error', with the protocol message as detail
+// Calls made before the app is ready are queued.
+
+import {
+    EMBED_QUERY_PARAM, EMBED_ORIGIN_PARAM, EMBED_CHROME_PARAM, MESSAGE_PREFIX, MESSAGE_TYPES
+} from './embed-protocol.js';
+
+class AbuseSuspicionScore extends HTMLElement {
+    static get observedAttributes() {
+        return ['language', 'target-prevalence'];
+    }
+
+    constructor() {
+        super();
+        this.frame = null;
+        this.appOrigin = null;
+        this.ready = false;
+        this.queue = [];
+        // getResult() calls waiting for their reply, by message id
+        this.pending = new Map();
+        this.nextId = 1;
+        this.handleMessage = this.handleMessage.bind(this);
+    }
+
+    connectedCallback() {
+        const src = new URL(this.getAttribute('src') || new URL('index.html', import.meta.url), document.baseURI);
+        src.searchParams.set(EMBED_QUERY_PARAM, '1');
+        src.searchParams.set(EMBED_ORIGIN_PARAM, window.location.origin);
+        if (this.getAttribute('chrome') === 'minimal') {
+            src.searchParams.set(EMBED_CHROME_PARAM, 'minimal');
+        }
+        this.appOrigin = src.origin;
+
+        this.frame = document.createElement('iframe');
+        this.frame.src = src.href;
+        this.frame.title = this.getAttribute('title') || 'Sexual abuse suspicion score';
+        this.frame.style.cssText = 'display: block; width: 100%; height: 100%; min-height: 600px; border: 0;';
+        window.addEventListener('message', this.handleMessage);
+        this.append(this.frame);
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('message', this.handleMessage);
+        this.frame.remove();
+        this.frame = null;
+        this.ready = false;
+        this.pending.forEach(({ reject }) => reject(new Error('Element removed from the page')));
+        this.pending.clear();
+    }
+
+    attributeChangedCallback(name, oldValue, value) {
+        if (!this.ready || value === null) {
+            return;
+        }
+        if (name === 'language') {
+            this.setLanguage(value);
+        } else {
+            this.setTargetPrevalence(Number(value));
+        }
+    }
+
+    // Post to the app, or keep the message until it is ready
+    send(message) {
+        if (this.ready) {
+            this.frame.contentWindow.postMessage(message, this.appOrigin);
+        } else {
+            this.queue.push(message);
+        }
+    }
+
+    // answers: { variableId: true | false | number | null }; replace: unlisted answers become unknown
+    setAnswers(answers, { replace = false } = {}) {
+        this.send({ type: MESSAGE_TYPES.set, answers, replaceAnswers: replace });
+    }
+
+    setLanguage(language) {
+        this.send({ type: MESSAGE_TYPES.set, language });
+    }
+
+    setTargetPrevalence(targetPrevalence) {
+        this.send({ type: MESSAGE_TYPES.set, targetPrevalence });
+    }
+
+    clear() {
+        this.send({ type: MESSAGE_TYPES.clear });
+    }
+
+    // Current result message; rejects with the app's error message when it cannot be scored
+    getResult() {
+        const id = `request-${this.nextId++}`;
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+            this.send({ type: MESSAGE_TYPES.getResult, id });
+        });
+    }
+
+    handleMessage(event) {
+        if (!this.frame || event.source !== this.frame.contentWindow || event.origin !== this.appOrigin) {
+            return;
+        }
+        const message = event.data;
+        if (!message || typeof message.type !== 'string' || !message.type.startsWith(MESSAGE_PREFIX)) {
+            return;
+        }
+
+        if (message.type === MESSAGE_TYPES.ready) {
+            this.ready = true;
+            // Settings given as attributes first, then the calls made while loading
+            const initial = { type: MESSAGE_TYPES.set };
+            if (this.hasAttribute('language')) {
+                initial.language = this.getAttribute('language');
+            }
+            if (this.hasAttribute('target-prevalence')) {
+                initial.targetPrevalence = Number(this.getAttribute('target-prevalence'));
+            }
+            if (Object.keys(initial).length > 1) {
+                this.send(initial);
+            }
+            this.queue.splice(0).forEach(queued => this.send(queued));
+        }
+
+        const waiting = message.id !== null && message.id !== undefined && this.pending.get(message.id);
+        if (waiting) {
+            this.pending.delete(message.id);
+            if (message.type === MESSAGE_TYPES.error) {
+                waiting.reject(Object.assign(new Error(message.message), { code: message.code }));
+            } else {
+                waiting.resolve(message);
+            }
+        }
+
+        this.dispatchEvent(new CustomEvent(`abuse-score-${message.type.slice(MESSAGE_PREFIX.length)}`, { detail: message }));
+    }
+}
+
+if (!customElements.get('abuse-suspicion-score')) {
+    customElements.define('abuse-suspicion-score', AbuseSuspicionScore);
+}
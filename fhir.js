@@ -0,0 +1,435 @@
+// Sexual Abuse Suspicion Score - HL7 FHIR R4 resources
+// - Questionnaire generated from modelData.variables (one item per variable, linkId = variable id)
+// - QuestionnaireResponse read back into form answers; a missing or "unknown" item is "Don't know"
+// - RiskAssessment for a scorer result: probability, CI, qualitative risk, model version and subset
+// Every resource is checked against the R4 structure of the elements used here (cardinality, value
+// types, required codes), so exports and imports can be tried offline with sample files.
+// No DOM access: texts are given by the page, and issues carry a message code and its parameters
+// (catalog key fhir.issues.<code>), as in model-validation.js.
+
+export const FHIR_BASE_URL = 'https://nestordemeure.github.io/abuse_checklist/fhir';
+export const QUESTIONNAIRE_URL = `${FHIR_BASE_URL}/Questionnaire/abuse-suspicion-score`;
+// Subset models, as { system, version: model version, code: subset name }
+export const MODEL_SYSTEM = `${FHIR_BASE_URL}/CodeSystem/subset-model`;
+// Confidence interval of RiskAssessment.prediction (probability[x] holds either a decimal or a range)
+export const INTERVAL_EXTENSION = `${FHIR_BASE_URL}/StructureDefinition/probability-interval`;
+
+const LOINC = 'http://loinc.org';
+const RISK_PROBABILITY = 'http://terminology.hl7.org/CodeSystem/risk-probability';
+const MIN_VALUE_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/minValue';
+const MAX_VALUE_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/maxValue';
+const UNIT_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/questionnaire-unit';
+
+// LOINC answer codes of the yes / no / unknown items
+export const ANSWER_CODES = Object.freeze({ yes: 'LA33-6', no: 'LA32-8', unknown: 'LA4489-6' });
+
+// Required codes (R4 value sets) of the elements checked here
+const QUESTIONNAIRE_STATUSES = ['draft', 'active', 'retired', 'unknown'];
+const RESPONSE_STATUSES = ['in-progress', 'completed', 'amended', 'entered-in-error', 'stopped'];
+const RISK_STATUSES = ['registered', 'preliminary', 'final', 'amended', 'corrected', 'cancelled', 'entered-in-error', 'unknown'];
+const ITEM_TYPES = ['group', 'display', 'boolean', 'decimal', 'integer', 'date', 'dateTime', 'time', 'string', 'text',
+    'url', 'choice', 'open-choice', 'attachment', 'reference', 'quantity'];
+const ANSWER_VALUE_FIELDS = ['valueBoolean', 'valueDecimal', 'valueInteger', 'valueDate', 'valueDateTime', 'valueTime',
+    'valueString', 'valueUri', 'valueAttachment', 'valueCoding', 'valueQuantity', 'valueReference'];
+const ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+const DATE_TIME_PATTERN = /^\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?)?)?$/;
+
+function issue(severity, path, code, params = {}) {
+    return { severity, path, code, params };
+}
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// FHIR item type of a numeric variable: integer unless its step is fractional
+const numericItemType = (variable) => (variable.step === undefined || Number.isInteger(variable.step) ? 'integer' : 'decimal');
+
+// Questionnaire for the variables of a model, in one language.
+// texts: { language, title, label(variable), unit(variable), answers: { yes, no, unknown } }
+export function buildQuestionnaire(modelData, texts) {
+    const version = modelData.metadata ? modelData.metadata.version ?? null : null;
+    const item = modelData.variables.map(variable => {
+        const base = { linkId: variable.id, text: texts.label(variable), required: false, repeats: false };
+        if (variable.type === 'boolean') {
+            return {
+                ...base,
+                type: 'choice',
+                answerOption: ['yes', 'no', 'unknown'].map(answer => ({
+                    valueCoding: { system: LOINC, code: ANSWER_CODES[answer], display: texts.answers[answer] }
+                }))
+            };
+        }
+
+        const type = numericItemType(variable);
+        const valueField = type === 'integer' ? 'valueInteger' : 'valueDecimal';
+        const extension = [];
+        if (variable.min !== undefined) {
+            extension.push({ url: MIN_VALUE_EXTENSION, [valueField]: variable.min });
+        }
+        if (variable.max !== undefined) {
+            extension.push({ url: MAX_VALUE_EXTENSION, [valueField]: variable.max });
+        }
+        if (variable.unit !== undefined) {
+            extension.push({ url: UNIT_EXTENSION, valueCoding: { display: texts.unit(variable) } });
+        }
+        return { ...(extension.length > 0 ? { extension } : {}), ...base, type };
+    });
+
+    return {
+        resourceType: 'Questionnaire',
+        id: 'abuse-suspicion-score',
+        language: texts.language,
+        url: QUESTIONNAIRE_URL,
+        ...(version ? { version } : {}),
+        name: 'AbuseSuspicionScore',
+        title: texts.title,
+        status: 'active',
+        subjectType: ['Patient'],
+        item
+    };
+}
+
+// QuestionnaireResponse holding form answers ({ variableId: true | false | number | null });
+// unknown booleans are answered "unknown", unknown numeric items have no answer.
+// options: { id, authored (ISO date-time), subject (Reference) }
+export function buildQuestionnaireResponse(modelData, answers, options = {}) {
+    const version = modelData.metadata ? modelData.metadata.version ?? null : null;
+    const item = modelData.variables.map(variable => {
+        const value = answers[variable.id];
+        if (variable.type === 'boolean') {
+            const answer = value === true ? 'yes' : value === false ? 'no' : 'unknown';
+            return { linkId: variable.id, answer: [{ valueCoding: { system: LOINC, code: ANSWER_CODES[answer] } }] };
+        }
+        if (value === null || value === undefined) {
+            return { linkId: variable.id };
+        }
+        return { linkId: variable.id, answer: [{ [numericItemType(variable) === 'integer' && Number.isInteger(value) ? 'valueInteger' : 'valueDecimal']: value }] };
+    });
+
+    return {
+        resourceType: 'QuestionnaireResponse',
+        ...(options.id ? { id: options.id } : {}),
+        questionnaire: version ? `${QUESTIONNAIRE_URL}|${version}` : QUESTIONNAIRE_URL,
+        status: 'completed',
+        ...(options.subject ? { subject: options.subject } : {}),
+        ...(options.authored ? { authored: options.authored } : {}),
+        item
+    };
+}
+
+// Items of a response, nested ones included (in groups or under an answer), as [path, item] pairs
+function flattenItems(items, path, pairs = []) {
+    (items || []).forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        pairs.push([itemPath, item]);
+        flattenItems(item && item.item, `${itemPath}.item`, pairs);
+        ((item && item.answer) || []).forEach((answer, answerIndex) => {
+            flattenItems(answer && answer.item, `${itemPath}.answer[${answerIndex}].item`, pairs);
+        });
+    });
+    return pairs;
+}
+
+// The single value[x] of an answer, as [field, value]; null when there is none or several
+function answerValue(answer) {
+    const fields = ANSWER_VALUE_FIELDS.filter(field => answer[field] !== undefined);
+    return fields.length === 1 ? [fields[0], answer[fields[0]]] : null;
+}
+
+function checkMeta(resource, expectedType, issues) {
+    if (!isObject(resource)) {
+        issues.push(issue('error', '', 'not_resource'));
+        return false;
+    }
+    if (resource.resourceType !== expectedType) {
+        issues.push(issue('error', 'resourceType', 'wrong_resource_type', { expected: expectedType, found: String(resource.resourceType ?? '–') }));
+        return false;
+    }
+    if (resource.id !== undefined && !(typeof resource.id === 'string' && ID_PATTERN.test(resource.id))) {
+        issues.push(issue('error', 'id', 'invalid_value', { element: 'id' }));
+    }
+    return true;
+}
+
+function checkCode(resource, element, allowed, issues) {
+    if (resource[element] === undefined) {
+        issues.push(issue('error', element, 'missing_element', { element }));
+    } else if (!allowed.includes(resource[element])) {
+        issues.push(issue('error', element, 'invalid_code', { element, value: String(resource[element]) }));
+    }
+}
+
+function checkDateTime(resource, element, issues) {
+    if (resource[element] !== undefined && !(typeof resource[element] === 'string' && DATE_TIME_PATTERN.test(resource[element]))) {
+        issues.push(issue('error', element, 'invalid_value', { element }));
+    }
+}
+
+function checkReference(value, path, issues) {
+    if (!isObject(value) || !(isNonEmptyString(value.reference) || isNonEmptyString(value.display) || isObject(value.identifier))) {
+        issues.push(issue('error', path, 'invalid_value', { element: path }));
+    }
+}
+
+function checkCodeableConcept(value, path, issues) {
+    const validCoding = (coding) => isObject(coding) && (coding.system === undefined || typeof coding.system === 'string') &&
+        (coding.code === undefined || typeof coding.code === 'string');
+    if (!isObject(value) || (value.coding !== undefined && !(Array.isArray(value.coding) && value.coding.every(validCoding))) ||
+        (value.text !== undefined && typeof value.text !== 'string')) {
+        issues.push(issue('error', path, 'invalid_value', { element: path }));
+    }
+}
+
+function checkQuestionnaireItems(items, path, issues) {
+    if (items === undefined) {
+        return;
+    }
+    if (!Array.isArray(items)) {
+        issues.push(issue('error', path, 'invalid_value', { element: path }));
+        return;
+    }
+    items.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (!isObject(item) || !isNonEmptyString(item.linkId)) {
+            issues.push(issue('error', `${itemPath}.linkId`, 'missing_element', { element: 'linkId' }));
+            return;
+        }
+        checkCode(item, 'type', ITEM_TYPES, issues);
+        (item.answerOption || []).forEach((option, optionIndex) => {
+            const fields = ['valueInteger', 'valueDate', 'valueTime', 'valueString', 'valueCoding', 'valueReference']
+                .filter(field => option && option[field] !== undefined);
+            if (fields.length !== 1) {
+                issues.push(issue('error', `${itemPath}.answerOption[${optionIndex}]`, 'invalid_value', { element: 'answerOption.value[x]' }));
+            }
+        });
+        checkQuestionnaireItems(item.item, `${itemPath}.item`, issues);
+    });
+}
+
+function checkResponseItems(items, path, issues) {
+    if (items === undefined) {
+        return;
+    }
+    if (!Array.isArray(items)) {
+        issues.push(issue('error', path, 'invalid_value', { element: path }));
+        return;
+    }
+    items.forEach((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        if (!isObject(item) || !isNonEmptyString(item.linkId)) {
+            issues.push(issue('error', `${itemPath}.linkId`, 'missing_element', { element: 'linkId' }));
+            return;
+        }
+        if (item.answer !== undefined && !Array.isArray(item.answer)) {
+            issues.push(issue('error', `${itemPath}.answer`, 'invalid_value', { element: 'answer' }));
+            return;
+        }
+        (item.answer || []).forEach((answer, answerIndex) => {
+            const answerPath = `${itemPath}.answer[${answerIndex}]`;
+            if (!isObject(answer) || !answerValue(answer)) {
+                issues.push(issue('error', answerPath, 'invalid_value', { element: 'answer.value[x]' }));
+                return;
+            }
+            checkResponseItems(answer.item, `${answerPath}.item`, issues);
+        });
+        checkResponseItems(item.item, `${itemPath}.item`, issues);
+    });
+}
+
+function checkPredictions(predictions, issues) {
+    if (predictions === undefined) {
+        return;
+    }
+    if (!Array.isArray(predictions)) {
+        issues.push(issue('error', 'prediction', 'invalid_value', { element: 'prediction' }));
+        return;
+    }
+    predictions.forEach((prediction, index) => {
+        const path = `prediction[${index}]`;
+        if (!isObject(prediction)) {
+            issues.push(issue('error', path, 'invalid_value', { element: path }));
+            return;
+        }
+        const decimal = prediction.probabilityDecimal;
+        const range = prediction.probabilityRange;
+        if (decimal !== undefined && range !== undefined) {
+            issues.push(issue('error', path, 'invalid_value', { element: 'probability[x]' }));
+        }
+        if (decimal !== undefined && !(typeof decimal === 'number' && decimal >= 0 && decimal <= 1)) {
+            issues.push(issue('error', `${path}.probabilityDecimal`, 'invalid_value', { element: 'probabilityDecimal' }));
+        }
+        if (range !== undefined && !isObject(range)) {
+            issues.push(issue('error', `${path}.probabilityRange`, 'invalid_value', { element: 'probabilityRange' }));
+        }
+        ['outcome', 'qualitativeRisk'].forEach(element => {
+            if (prediction[element] !== undefined) {
+                checkCodeableConcept(prediction[element], `${path}.${element}`, issues);
+            }
+        });
+    });
+}
+
+// Structural check of a Questionnaire, QuestionnaireResponse or RiskAssessment against R4.
+// Only the elements this tool writes or reads are checked; others are left alone. Returns the issues.
+export function validateResource(resource, expectedType) {
+    const issues = [];
+    if (!checkMeta(resource, expectedType, issues)) {
+        return issues;
+    }
+
+    if (expectedType === 'Questionnaire') {
+        checkCode(resource, 'status', QUESTIONNAIRE_STATUSES, issues);
+        checkQuestionnaireItems(resource.item, 'item', issues);
+    } else if (expectedType === 'QuestionnaireResponse') {
+        checkCode(resource, 'status', RESPONSE_STATUSES, issues);
+        checkDateTime(resource, 'authored', issues);
+        if (resource.questionnaire !== undefined && typeof resource.questionnaire !== 'string') {
+            issues.push(issue('error', 'questionnaire', 'invalid_value', { element: 'questionnaire' }));
+        }
+        if (resource.subject !== undefined) {
+            checkReference(resource.subject, 'subject', issues);
+        }
+        checkResponseItems(resource.item, 'item', issues);
+    } else if (expectedType === 'RiskAssessment') {
+        checkCode(resource, 'status', RISK_STATUSES, issues);
+        if (resource.subject === undefined) {
+            issues.push(issue('error', 'subject', 'missing_element', { element: 'subject' }));
+        } else {
+            checkReference(resource.subject, 'subject', issues);
+        }
+        checkDateTime(resource, 'occurrenceDateTime', issues);
+        if (resource.method !== undefined) {
+            checkCodeableConcept(resource.method, 'method', issues);
+        }
+        checkPredictions(resource.prediction, issues);
+        (resource.contained || []).forEach((contained, index) => {
+            validateResource(contained, contained && contained.resourceType).forEach(found => {
+                issues.push({ ...found, path: `contained[${index}].${found.path}` });
+            });
+        });
+    }
+    return issues;
+}
+
+// Form answer for one response item: { value } or { issue } (the answer is then "Don't know")
+function readItemAnswer(variable, item, path) {
+    const answers = item.answer || [];
+    if (answers.length === 0) {
+        return { value: null };
+    }
+    if (answers.length > 1) {
+        return { issue: issue('warning', path, 'multiple_answers', { linkId: item.linkId }) };
+    }
+    const [field, value] = answerValue(answers[0]);
+
+    if (variable.type === 'boolean') {
+        if (field === 'valueBoolean') {
+            return { value };
+        }
+        if (field === 'valueCoding') {
+            const found = Object.entries(ANSWER_CODES).find(([, code]) => code === value.code);
+            if (found && (value.system === undefined || value.system === LOINC)) {
+                return { value: found[0] === 'yes' ? true : found[0] === 'no' ? false : null };
+            }
+        }
+        return { issue: issue('warning', path, 'invalid_answer', { linkId: item.linkId }) };
+    }
+
+    const number = field === 'valueInteger' || field === 'valueDecimal' ? value
+        : field === 'valueQuantity' && isObject(value) ? value.value
+        : undefined;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        return { issue: issue('warning', path, 'invalid_answer', { linkId: item.linkId }) };
+    }
+    if ((variable.min !== undefined && number < variable.min) || (variable.max !== undefined && number > variable.max)) {
+        return {
+            issue: issue('warning', path, 'out_of_range', { linkId: item.linkId, value: number, min: variable.min ?? '–', max: variable.max ?? '–' })
+        };
+    }
+    return { value: number };
+}
+
+// Form answers from a QuestionnaireResponse: { answers, subject, issues }.
+// answers is null when the resource has errors; otherwise every variable has a value, null for
+// "Don't know" (item missing, unanswered, answered "unknown", or an answer that cannot be used,
+// which is reported as a warning). Items that are not model variables are reported and ignored.
+export function readQuestionnaireResponse(modelData, resource) {
+    const issues = validateResource(resource, 'QuestionnaireResponse');
+    if (issues.some(found => found.severity === 'error')) {
+        return { answers: null, subject: null, issues };
+    }
+    if (resource.status === 'entered-in-error') {
+        issues.push(issue('error', 'status', 'entered_in_error'));
+        return { answers: null, subject: null, issues };
+    }
+    if (resource.questionnaire !== undefined && resource.questionnaire.split('|')[0] !== QUESTIONNAIRE_URL) {
+        issues.push(issue('warning', 'questionnaire', 'questionnaire_mismatch', { questionnaire: resource.questionnaire }));
+    }
+
+    const answers = Object.fromEntries(modelData.variables.map(variable => [variable.id, null]));
+    const seen = new Set();
+    flattenItems(resource.item, 'item').forEach(([path, item]) => {
+        const variable = modelData.variables.find(v => v.id === item.linkId);
+        if (!variable) {
+            if (!item.item && !(item.answer || []).some(answer => answer.item)) {
+                issues.push(issue('warning', path, 'unknown_item', { linkId: item.linkId }));
+            }
+            return;
+        }
+        if (seen.has(item.linkId)) {
+            issues.push(issue('warning', path, 'duplicate_item', { linkId: item.linkId }));
+            return;
+        }
+        seen.add(item.linkId);
+        const read = readItemAnswer(variable, item, path);
+        if (read.issue) {
+            issues.push(read.issue);
+        } else {
+            answers[variable.id] = read.value;
+        }
+    });
+
+    return { answers, subject: resource.subject ?? null, issues };
+}
+
+// RiskAssessment for a scorer result, with the answers as a contained QuestionnaireResponse (basis).
+// options: { subject (Reference, required by R4), occurrence (ISO date-time),
+//            texts: { code, outcome, level (display of the qualitative risk), method, note } }
+export function buildRiskAssessment(modelData, result, options) {
+    const version = modelData.metadata ? modelData.metadata.version ?? null : null;
+    const ci = result.confidenceInterval;
+    const response = buildQuestionnaireResponse(modelData, result.inputs, {
+        id: 'answers',
+        authored: options.occurrence
+    });
+
+    return {
+        resourceType: 'RiskAssessment',
+        contained: [response],
+        status: 'final',
+        method: {
+            coding: [{ system: MODEL_SYSTEM, ...(version ? { version } : {}), code: result.selectedModel }],
+            text: options.texts.method
+        },
+        code: { text: options.texts.code },
+        subject: options.subject,
+        occurrenceDateTime: options.occurrence,
+        basis: [{ reference: '#answers' }],
+        prediction: [{
+            extension: [{
+                url: INTERVAL_EXTENSION,
+                extension: [
+                    { url: 'lower', valueDecimal: ci.lower },
+                    { url: 'upper', valueDecimal: ci.upper },
+                    { url: 'level', valueDecimal: ci.level }
+                ]
+            }],
+            outcome: { text: options.texts.outcome },
+            probabilityDecimal: result.probability,
+            qualitativeRisk: {
+                coding: [{ system: RISK_PROBABILITY, code: result.interpretation.level, display: options.texts.level }]
+            }
+        }],
+        note: [{ text: options.texts.note }]
+    };
+}
@@ -0,0 +1,206 @@
+// Sexual Abuse Suspicion Score - Encrypted assessment history
+// Optional store of past assessments in IndexedDB, encrypted with a key derived from a passphrase
+// (PBKDF2-SHA-256, then AES-GCM with a fresh IV per record). Everything stays in this browser:
+// nothing is sent anywhere, the passphrase is never stored, and a forgotten passphrase cannot be
+// recovered (the history can only be wiped).
+//
+// Database: 'meta' holds the salt, the iteration count and an encrypted check value, which tells a
+// wrong passphrase apart from a damaged store; 'entries' holds one encrypted record per assessment.
+// No DOM access: errors are HistoryError codes, translated by the page (catalog key history.errors.<code>).
+
+export const HISTORY_DB_NAME = 'abuse-score-history';
+// Marker of exported history files
+export const HISTORY_FORMAT = 'abuse-score-history';
+
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+const ENTRY_STORE = 'entries';
+const META_KEY = 'key';
+// OWASP recommendation for PBKDF2-HMAC-SHA256
+const PBKDF2_ITERATIONS = 600000;
+// Imported files must use between PBKDF2_ITERATIONS and ten times as many, so a crafted file
+// cannot make key derivation fail or freeze the tab
+const MAX_PBKDF2_ITERATIONS = 10 * PBKDF2_ITERATIONS;
+const CHECK_TEXT = 'abuse-score-history';
+
+// Raised with a code: 'unavailable' (no IndexedDB or WebCrypto), 'wrong_passphrase', 'invalid_file'
+export class HistoryError extends Error {
+    constructor(code, message = code) {
+        super(message);
+        this.name = 'HistoryError';
+        this.code = code;
+    }
+}
+
+export function isHistorySupported() {
+    return typeof indexedDB !== 'undefined' && typeof crypto !== 'undefined' && Boolean(crypto.subtle);
+}
+
+// Wrap an IndexedDB request (or transaction, with its 'complete' event) in a Promise
+function settle(request, doneEvent = 'success') {
+    return new Promise((resolve, reject) => {
+        request.addEventListener(doneEvent, () => resolve(request.result));
+        request.addEventListener('error', () => reject(request.error));
+    });
+}
+
+function openDatabase() {
+    if (!isHistorySupported()) {
+        return Promise.reject(new HistoryError('unavailable'));
+    }
+    const request = indexedDB.open(HISTORY_DB_NAME, DB_VERSION);
+    request.addEventListener('upgradeneeded', () => {
+        const db = request.result;
+        db.createObjectStore(META_STORE);
+        db.createObjectStore(ENTRY_STORE, { keyPath: 'id', autoIncrement: true });
+    });
+    return settle(request);
+}
+
+// Run fn(store) in a transaction on one object store and wait for the transaction to complete
+async function withStore(db, name, mode, fn) {
+    const transaction = db.transaction(name, mode);
+    const result = fn(transaction.objectStore(name));
+    await settle(transaction, 'complete');
+    return result instanceof IDBRequest ? result.result : result;
+}
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+// { iv, data } with both fields in base64, so records and exported files are plain JSON
+async function encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decrypt(key, record) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, key, fromBase64(record.data));
+    return JSON.parse(new TextDecoder().decode(data));
+}
+
+// Key for a meta record ({ salt, iterations, check }); throws HistoryError('wrong_passphrase')
+// when the check value does not decrypt with this passphrase
+async function unlockMeta(meta, passphrase) {
+    const key = await deriveKey(passphrase, fromBase64(meta.salt), meta.iterations);
+    try {
+        if (await decrypt(key, meta.check) !== CHECK_TEXT) {
+            throw new Error('check value mismatch');
+        }
+    } catch (error) {
+        throw new HistoryError('wrong_passphrase');
+    }
+    return key;
+}
+
+// True once a history has been created in this browser (it may still be locked)
+export async function historyExists() {
+    const db = await openDatabase();
+    try {
+        return (await withStore(db, META_STORE, 'readonly', store => store.get(META_KEY))) !== undefined;
+    } finally {
+        db.close();
+    }
+}
+
+// Open the history with a passphrase, creating it on first use.
+// Entries are plain objects ({ label, date, ... }, chosen by the page) stored encrypted; the returned
+// object lists, adds, removes, exports and imports them while the page keeps it (lock: drop it).
+export async function unlockHistory(passphrase) {
+    const db = await openDatabase();
+    let meta = await withStore(db, META_STORE, 'readonly', store => store.get(META_KEY));
+    let key;
+
+    if (meta === undefined) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+        meta = { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, check: await encrypt(key, CHECK_TEXT) };
+        await withStore(db, META_STORE, 'readwrite', store => store.put(meta, META_KEY));
+    } else {
+        try {
+            key = await unlockMeta(meta, passphrase);
+        } catch (error) {
+            db.close();
+            throw error;
+        }
+    }
+
+    // Every entry, oldest first, each with its record id
+    async function list() {
+        const records = await withStore(db, ENTRY_STORE, 'readonly', store => store.getAll());
+        const entries = await Promise.all(records.map(async record => ({ ...await decrypt(key, record), id: record.id })));
+        return entries.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    async function add(entry) {
+        const record = await encrypt(key, entry);
+        const id = await withStore(db, ENTRY_STORE, 'readwrite', store => store.add(record));
+        return { ...entry, id };
+    }
+
+    async function remove(id) {
+        await withStore(db, ENTRY_STORE, 'readwrite', store => store.delete(id));
+    }
+
+    // The whole store as it is on disk (still encrypted), for a backup file
+    async function exportFile() {
+        const records = await withStore(db, ENTRY_STORE, 'readonly', store => store.getAll());
+        return {
+            format: HISTORY_FORMAT,
+            version: 1,
+            salt: meta.salt,
+            iterations: meta.iterations,
+            check: meta.check,
+            entries: records.map(({ iv, data }) => ({ iv, data }))
+        };
+    }
+
+    // Add the entries of an exported file, decrypted with this passphrase (the file may come from
+    // another browser, with its own salt) and encrypted again with this history's key.
+    // Returns the number of entries added.
+    async function importFile(file) {
+        if (!file || file.format !== HISTORY_FORMAT || !Array.isArray(file.entries) ||
+            typeof file.salt !== 'string' || !Number.isInteger(file.iterations) ||
+            file.iterations < PBKDF2_ITERATIONS || file.iterations > MAX_PBKDF2_ITERATIONS || !file.check) {
+            throw new HistoryError('invalid_file');
+        }
+        const fileKey = await unlockMeta(file, passphrase);
+        const entries = await Promise.all(file.entries.map(record => decrypt(fileKey, record).catch(() => {
+            throw new HistoryError('invalid_file');
+        })));
+        for (const entry of entries) {
+            delete entry.id;
+            await add(entry);
+        }
+        return entries.length;
+    }
+
+    return { list, add, remove, exportFile, importFile, close: () => db.close() };
+}
+
+// Delete the whole history (every entry and the key material); resolves once it is gone.
+// While another tab still has the database open the deletion waits for it to close it, and
+// onBlocked() is called so the page can say so.
+export async function wipeHistory(onBlocked = () => {}) {
+    if (!isHistorySupported()) {
+        throw new HistoryError('unavailable');
+    }
+    await new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(HISTORY_DB_NAME);
+        request.addEventListener('success', resolve);
+        request.addEventListener('error', () => reject(request.error));
+        request.addEventListener('blocked', () => onBlocked());
+    });
+}
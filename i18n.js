@@ -0,0 +1,152 @@
+// Sexual Abuse Suspicion Score - Internationalisation
+// Message catalogs live in locales/<code>.json (nested objects, looked up with dotted keys such as
+// "result.probability", with {name} placeholders). English is the fallback for any missing key.
+// Adding a language: add its JSON catalog and an entry in LOCALES; model.json texts ({ fr, en, ... }
+// objects) are picked with the same fallback rules.
+
+export const LOCALES = [
+    { code: 'fr', name: 'Français', flag: '🇫🇷' },
+    { code: 'en', name: 'English', flag: '🇬🇧' },
+    { code: 'es', name: 'Español', flag: '🇪🇸' },
+    { code: 'de', name: 'Deutsch', flag: '🇩🇪' },
+    { code: 'it', name: 'Italiano', flag: '🇮🇹' }
+];
+export const FALLBACK_LOCALE = 'en';
+export const LANGUAGE_STORAGE_KEY = 'language';
+
+const catalogs = {};
+let currentLocale = FALLBACK_LOCALE;
+// Dev mode: text that falls back to English is marked as such, so missing translations stand out
+let devMode = false;
+const reportedKeys = new Set();
+
+export function isSupportedLocale(code) {
+    return LOCALES.some(locale => locale.code === code);
+}
+
+// Fetch the catalogs next to this module; a catalog that fails to load is skipped (English fallback)
+export async function loadCatalogs(codes = LOCALES.map(locale => locale.code)) {
+    await Promise.all(codes.map(async code => {
+        try {
+            const response = await fetch(new URL(`locales/${code}.json`, import.meta.url));
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            catalogs[code] = await response.json();
+        } catch (error) {
+            console.warn(`Could not load the ${code} catalog:`, error);
+        }
+    }));
+}
+
+// Register a catalog directly (e.g. from Node, where there is nothing to fetch)
+export function addCatalog(code, messages) {
+    catalogs[code] = messages;
+}
+
+export function setLocale(code) {
+    currentLocale = isSupportedLocale(code) ? code : FALLBACK_LOCALE;
+}
+
+export function getLocale() {
+    return currentLocale;
+}
+
+export function setDevMode(enabled) {
+    devMode = enabled;
+}
+
+// Initial language: the last saved choice, else the first supported browser language, else English
+export function initialLocale(storage, browserLanguages = []) {
+    const saved = storage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isSupportedLocale(saved)) {
+        return saved;
+    }
+    const browser = browserLanguages
+        .map(language => language.toLowerCase().split('-')[0])
+        .find(isSupportedLocale);
+    return browser || FALLBACK_LOCALE;
+}
+
+function lookup(code, key) {
+    let node = catalogs[code];
+    for (const part of key.split('.')) {
+        if (node === undefined || node === null || typeof node !== 'object') {
+            return undefined;
+        }
+        node = node[part];
+    }
+    return typeof node === 'string' ? node : undefined;
+}
+
+function interpolate(text, params) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// English fallback for a text missing in the current locale; visible in dev mode
+function fallback(text, what) {
+    if (!devMode) {
+        return text;
+    }
+    if (!reportedKeys.has(what)) {
+        reportedKeys.add(what);
+        console.warn(`Missing ${currentLocale} translation: ${what}`);
+    }
+    return `[${FALLBACK_LOCALE}] ${text}`;
+}
+
+// Translate a catalog key; a key missing everywhere is shown as-is so it can be spotted
+export function t(key, params = {}) {
+    const text = lookup(currentLocale, key);
+    if (text !== undefined) {
+        return interpolate(text, params);
+    }
+    const english = lookup(FALLBACK_LOCALE, key);
+    if (english !== undefined) {
+        return fallback(interpolate(english, params), key);
+    }
+    return `[${key}]`;
+}
+
+// Text of a catalog key in one given locale, without fallback: undefined when that catalog or key is missing
+export function translateIn(code, key, params = {}) {
+    const text = lookup(code, key);
+    return text === undefined ? undefined : interpolate(text, params);
+}
+
+// Text of a model.json field in the current locale
+// Accepts { fr, en, ... } objects and the older flat fields (label_fr, label_en)
+export function localizedField(object, field) {
+    const value = object[field];
+    const byLocale = value && typeof value === 'object'
+        ? value
+        : Object.fromEntries(LOCALES.map(({ code }) => [code, object[`${field}_${code}`]]));
+
+    if (byLocale[currentLocale]) {
+        return byLocale[currentLocale];
+    }
+    const other = byLocale[FALLBACK_LOCALE] || Object.values(byLocale).find(Boolean);
+    return other ? fallback(other, `${object.id ?? ''}.${field}`) : '';
+}
+
+// Locale-aware number formatting with a fixed number of decimals (e.g. "12,5" in French)
+export function formatNumber(value, digits = 1) {
+    return new Intl.NumberFormat(currentLocale, {
+        minimumFractionDigits: digits,
+        maximumFractionDigits: digits
+    }).format(value);
+}
+
+// Locale-aware percentage of a proportion (0.125 -> "12,5 %" in French, "12.5%" in English)
+// minDigits below digits drops trailing zeros (0.25 -> "25%")
+export function formatPercent(proportion, digits = 1, minDigits = digits) {
+    return new Intl.NumberFormat(currentLocale, {
+        style: 'percent',
+        minimumFractionDigits: minDigits,
+        maximumFractionDigits: digits
+    }).format(proportion);
+}
+
+export function formatDateTime(date) {
+    return new Intl.DateTimeFormat(currentLocale, { dateStyle: 'long', timeStyle: 'short' }).format(date);
+}
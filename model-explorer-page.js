@@ -0,0 +1,349 @@
+// Sexual Abuse Suspicion Score - Model explorer page
+// Loads the model version the app would load (?model=<version>) and shows every subset model:
+// a table that can be filtered and sorted, the forest plot of the odds ratios of the chosen subset,
+// and a heat-map of how much each coefficient moves when another variable enters the subset.
+
+import { validateModel } from './model-validation.js';
+import { summarizeModels, filterRows, oddsRatios, coefficientShifts, SORT_KEYS } from './model-explorer.js';
+import { MODEL_QUERY_PARAM, loadRegistry, findRegistryEntry } from './model-registry.js';
+import {
+    loadCatalogs, setLocale, getLocale, setDevMode, initialLocale, t, localizedField, formatNumber, formatPercent
+} from './i18n.js';
+import { escapeHtml } from './dom-helpers.js';
+
+// Page state: the model, its summary rows, the filters and order of the table, and the plotted subset
+let modelData = null;
+let rows = [];
+const filters = { required: [], size: null, reliableOnly: false };
+const sort = { key: 'auc', descending: true };
+let selectedModel = null;
+
+const formatValue = (value, digits) => (typeof value === 'number' ? formatNumber(value, digits) : '–');
+
+function variableLabel(id) {
+    const variable = modelData.variables.find(v => v.id === id);
+    return variable ? localizedField(variable, 'label') : id;
+}
+
+function statusBox(text) {
+    return `<p class="explorer-status" role="status"><span aria-hidden="true">✗</span> ${text}</p>`;
+}
+
+function renderFilters() {
+    const sizes = modelData.variables.map((_, index) => index + 1);
+    return `
+        <fieldset class="explorer-filters">
+            <legend>${t('explorer.filters')}</legend>
+            <p>${t('explorer.mustInclude')}</p>
+            ${modelData.variables.map(variable => `
+                <label class="explorer-choice">
+                    <input type="checkbox" name="required" value="${escapeHtml(variable.id)}">
+                    ${escapeHtml(localizedField(variable, 'label'))}
+                </label>`).join('')}
+            <p>
+                <label for="explorer-size">${t('explorer.size')}</label>
+                <select id="explorer-size">
+                    <option value="">${t('explorer.sizeAll')}</option>
+                    ${sizes.map(size => `<option value="${size}">${size}</option>`).join('')}
+                </select>
+                <label class="explorer-choice">
+                    <input type="checkbox" id="explorer-reliable">
+                    ${t('explorer.reliableOnly')}
+                </label>
+            </p>
+        </fieldset>`;
+}
+
+// Status of a subset: usable, or why scoring falls back to a nested model (catalog selection.reason.*)
+function statusCell(row) {
+    return row.unreliability === null
+        ? `<span aria-hidden="true">✓</span> ${t('explorer.usable')}`
+        : `<span aria-hidden="true">✗</span> ${t(`selection.reason.${row.unreliability}`)}`;
+}
+
+function renderTable() {
+    const shown = filterRows(rows, filters, sort);
+    const header = (key) => {
+        const ariaSort = sort.key === key ? (sort.descending ? 'descending' : 'ascending') : 'none';
+        const arrow = sort.key === key ? (sort.descending ? ' ▼' : ' ▲') : '';
+        return `
+            <th aria-sort="${ariaSort}">
+                <button type="button" class="explorer-sort" data-sort="${key}">${t(`explorer.columns.${key}`)}${arrow}</button>
+            </th>`;
+    };
+
+    const body = shown.map(row => `
+        <tr class="${row.name === selectedModel ? 'selected' : ''}">
+            <td>
+                <button type="button" class="explorer-show" data-model="${escapeHtml(row.name)}"
+                    aria-pressed="${row.name === selectedModel}">${t('explorer.show')}</button>
+            </td>
+            <td>${row.variables.map(id => escapeHtml(variableLabel(id))).join('<br>')}</td>
+            <td class="numeric-cell">${row.variables.length}</td>
+            <td class="numeric-cell">${formatValue(row.nObs, 0)}<br>${t('explorer.events', { abuse: formatValue(row.nAbuse, 0), control: formatValue(row.nControl, 0) })}</td>
+            <td class="numeric-cell">${formatValue(row.auc, 3)}</td>
+            <td class="numeric-cell">${typeof row.ciWidth === 'number' ? formatPercent(row.ciWidth) : '–'}</td>
+            <td>${statusCell(row)}</td>
+        </tr>`).join('');
+
+    document.getElementById('explorer-table').innerHTML = `
+        <p class="explanation-note">${t('explorer.count', { shown: shown.length, total: rows.length })}</p>
+        <div class="explorer-scroll">
+            <table class="explorer-table">
+                <thead>
+                    <tr>
+                        <th><span class="visually-hidden">${t('explorer.forest.title')}</span></th>
+                        ${SORT_KEYS.map(header).join('')}
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>`;
+}
+
+// Ticks of the log-scale axis that fall within [min, max]
+function logTicks(min, max) {
+    const ticks = [];
+    for (let power = -3; power <= 3; power++) {
+        [1, 2, 5].forEach(mantissa => {
+            const value = mantissa * 10 ** power;
+            if (value >= min && value <= max) {
+                ticks.push(value);
+            }
+        });
+    }
+    return ticks;
+}
+
+// Forest plot of the odds ratios of the selected subset, on a log scale
+function renderForest() {
+    const container = document.getElementById('explorer-forest');
+    if (!selectedModel) {
+        container.innerHTML = `<p class="explanation-note">${t('explorer.forest.none')}</p>`;
+        return;
+    }
+
+    const info = modelData.models[selectedModel];
+    const terms = oddsRatios(modelData, selectedModel);
+    const values = terms.flatMap(term => [term.oddsRatio, term.lower, term.upper]).filter(value => value !== null);
+    const min = Math.min(1, ...values) / 1.2;
+    const max = Math.max(1, ...values) * 1.2;
+
+    const labelWidth = 300;
+    const plotWidth = 320;
+    const textWidth = 170;
+    const rowHeight = 26;
+    const top = 10;
+    const height = top + terms.length * rowHeight + 30;
+    const x = (value) => labelWidth + (Math.log(value) - Math.log(min)) / (Math.log(max) - Math.log(min)) * plotWidth;
+    const axisY = top + terms.length * rowHeight + 4;
+
+    const termRows = terms.map((term, index) => {
+        const y = top + index * rowHeight + rowHeight / 2;
+        const variable = modelData.variables.find(v => v.id === term.variable);
+        const label = variableLabel(term.variable) + (variable && variable.type === 'numeric' ? ` ${t('explorer.forest.perUnit')}` : '');
+        const interval = term.lower !== null
+            ? `${formatNumber(term.oddsRatio, 2)} [${formatNumber(term.lower, 2)}–${formatNumber(term.upper, 2)}]`
+            : formatNumber(term.oddsRatio, 2);
+        return `
+            <text x="${labelWidth - 8}" y="${y + 4}" text-anchor="end" font-size="12">${escapeHtml(label)}</text>
+            ${term.lower !== null ? `<line x1="${x(term.lower)}" y1="${y}" x2="${x(term.upper)}" y2="${y}" stroke="#374151" stroke-width="1.5"></line>` : ''}
+            <rect x="${x(term.oddsRatio) - 4}" y="${y - 4}" width="8" height="8" fill="#1d4ed8"></rect>
+            <text x="${labelWidth + plotWidth + 10}" y="${y + 4}" font-size="12" font-family="monospace">${escapeHtml(interval)}</text>`;
+    }).join('');
+
+    const ticks = logTicks(min, max).map(value => `
+        <line x1="${x(value)}" y1="${axisY}" x2="${x(value)}" y2="${axisY + 4}" stroke="#6b7280"></line>
+        <text x="${x(value)}" y="${axisY + 16}" text-anchor="middle" font-size="11" fill="#4b5563">${escapeHtml(formatNumber(value, value < 1 ? (value < 0.1 ? 3 : 1) : 0))}</text>`).join('');
+
+    const summary = t('explorer.forest.summary', {
+        model: selectedModel,
+        n: formatValue(info.n_obs, 0),
+        auc: formatValue(info.auc, 3)
+    });
+
+    container.innerHTML = `
+        <p>${escapeHtml(summary)}</p>
+        <svg class="explorer-forest" viewBox="0 0 ${labelWidth + plotWidth + textWidth} ${height}" role="img"
+            aria-label="${escapeHtml(t('explorer.forest.label', { model: selectedModel }))}">
+            <line x1="${x(1)}" y1="${top - 4}" x2="${x(1)}" y2="${axisY}" stroke="#9ca3af" stroke-dasharray="3,3"></line>
+            <line x1="${labelWidth}" y1="${axisY}" x2="${labelWidth + plotWidth}" y2="${axisY}" stroke="#6b7280"></line>
+            ${ticks}
+            ${termRows}
+        </svg>
+        <p class="explanation-note">${t('explorer.forest.help', { intercept: formatValue(info.coefficients['(Intercept)'], 3) })}</p>`;
+}
+
+// Cell colour: blue when adding the column variable raises the row variable's coefficient, red when it
+// lowers it; the intensity is relative to the largest change in the row (coefficients of numeric
+// variables are per unit, so rows are not on the same scale)
+function heatColor(mean, rowMax) {
+    const alpha = rowMax > 0 ? 0.1 + 0.7 * Math.abs(mean) / rowMax : 0;
+    return mean >= 0 ? `rgba(37, 99, 235, ${alpha.toFixed(2)})` : `rgba(220, 38, 38, ${alpha.toFixed(2)})`;
+}
+
+function renderHeatmap() {
+    const { variables, ranges, shifts } = coefficientShifts(modelData);
+    const headers = variables.map(id => `<th scope="col">${escapeHtml(variableLabel(id))}</th>`).join('');
+
+    const body = variables.map((id, i) => {
+        const rowMax = Math.max(0, ...shifts[i].filter(cell => cell !== null).map(cell => Math.abs(cell.mean)));
+        const cells = shifts[i].map((cell, j) => {
+            if (cell === null) {
+                return '<td class="numeric-cell">–</td>';
+            }
+            const detail = t('explorer.heatmap.cell', {
+                variable: variableLabel(id),
+                added: variableLabel(variables[j]),
+                mean: formatNumber(cell.mean, 3),
+                meanAbsolute: formatNumber(cell.meanAbsolute, 3),
+                min: formatNumber(cell.min, 3),
+                max: formatNumber(cell.max, 3),
+                pairs: cell.pairs
+            });
+            return `<td class="numeric-cell" style="background: ${heatColor(cell.mean, rowMax)}" title="${escapeHtml(detail)}">${formatNumber(cell.mean, 2)}</td>`;
+        }).join('');
+        const range = ranges[i]
+            ? `${formatNumber(ranges[i].min, 2)} – ${formatNumber(ranges[i].max, 2)} (${ranges[i].count})`
+            : '–';
+        return `
+            <tr>
+                <th scope="row">${escapeHtml(variableLabel(id))}</th>
+                ${cells}
+                <td class="numeric-cell">${range}</td>
+            </tr>`;
+    }).join('');
+
+    document.getElementById('explorer-heatmap').innerHTML = `
+        <p class="explanation-note">${t('explorer.heatmap.help')}</p>
+        <div class="explorer-scroll">
+            <table class="explorer-table explorer-heatmap">
+                <thead>
+                    <tr>
+                        <th scope="col">${t('explorer.heatmap.corner')}</th>
+                        ${headers}
+                        <th scope="col">${t('explorer.heatmap.range')}</th>
+                    </tr>
+                </thead>
+                <tbody>${body}</tbody>
+            </table>
+        </div>`;
+}
+
+// Filters, sorting and the "show" buttons of the table
+function bindControls(container) {
+    container.addEventListener('change', (event) => {
+        if (event.target.name === 'required') {
+            filters.required = [...container.querySelectorAll('input[name="required"]:checked')].map(input => input.value);
+        } else if (event.target.id === 'explorer-size') {
+            filters.size = event.target.value === '' ? null : Number(event.target.value);
+        } else if (event.target.id === 'explorer-reliable') {
+            filters.reliableOnly = event.target.checked;
+        } else {
+            return;
+        }
+        renderTable();
+    });
+
+    container.addEventListener('click', (event) => {
+        const sortButton = event.target.closest('.explorer-sort');
+        const showButton = event.target.closest('.explorer-show');
+        if (sortButton) {
+            const key = sortButton.dataset.sort;
+            sort.descending = sort.key === key ? !sort.descending : key !== 'name';
+            sort.key = key;
+            renderTable();
+            container.querySelector(`.explorer-sort[data-sort="${key}"]`).focus();
+        } else if (showButton) {
+            selectedModel = showButton.dataset.model;
+            renderTable();
+            renderForest();
+            document.getElementById('explorer-forest').scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    });
+}
+
+// Load and validate the model, then build the page
+async function runPage() {
+    const container = document.getElementById('explorer');
+    const registry = await loadRegistry();
+    const requested = new URLSearchParams(window.location.search).get(MODEL_QUERY_PARAM);
+    const entry = findRegistryEntry(registry, requested);
+
+    if (!entry) {
+        const available = registry.models.map(model => model.version).join(', ');
+        container.innerHTML = statusBox(escapeHtml(t('validation.model_version_unknown', { version: requested, available })));
+        return;
+    }
+
+    try {
+        const response = await fetch(entry.file);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        modelData = await response.json();
+    } catch (error) {
+        container.innerHTML = statusBox(escapeHtml(t('validation.load_failed', { error: error.message })));
+        return;
+    }
+
+    // Only the structure is needed here: a bundle with numerical problems is still worth auditing
+    const validation = validateModel(modelData);
+    const structural = ['not_object', 'variables_missing', 'variable_no_id', 'variable_duplicate', 'variable_unknown_type', 'models_missing',
+        'model_no_variables', 'model_unknown_variables', 'coefficient_missing'];
+    const blocking = validation.errors.filter(issue => structural.includes(issue.code));
+    const version = (modelData.metadata && modelData.metadata.version) ?? entry.version ?? '?';
+    const header = `
+        <p>${t('explorer.intro')}</p>
+        <p class="explanation-note">${t('selfTest.model', { file: `<code>${escapeHtml(entry.file)}</code>`, version: escapeHtml(version) })}</p>
+        ${validation.errors.length > 0 ? `<p class="explanation-note">${t('explorer.invalid', { count: validation.errors.length })}</p>` : ''}`;
+
+    if (blocking.length > 0) {
+        container.innerHTML = header + statusBox(t('explorer.blocked')) + `
+            <ul>
+                ${blocking.map(issue => `
+                    <li><code>${escapeHtml(issue.path)}</code>: ${escapeHtml(t(`validation.${issue.code}`, issue.params))}</li>
+                `).join('')}
+            </ul>`;
+        return;
+    }
+
+    rows = summarizeModels(modelData);
+    const best = filterRows(rows, filters, sort)[0];
+    selectedModel = best ? best.name : null;
+
+    container.innerHTML = header + `
+        <section>
+            <h2>${t('explorer.tableTitle')}</h2>
+            ${renderFilters()}
+            <div id="explorer-table"></div>
+        </section>
+        <section>
+            <h2>${t('explorer.forest.title')}</h2>
+            <div id="explorer-forest"></div>
+        </section>
+        <section>
+            <h2>${t('explorer.heatmap.title')}</h2>
+            <div id="explorer-heatmap"></div>
+        </section>`;
+
+    bindControls(container);
+    renderTable();
+    renderForest();
+    renderHeatmap();
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    setDevMode(new URLSearchParams(window.location.search).has('dev'));
+    await loadCatalogs();
+    setLocale(initialLocale(localStorage, navigator.languages || [navigator.language]));
+    document.documentElement.lang = getLocale();
+    document.title = t('explorer.title');
+    document.getElementById('explorer-title').textContent = t('explorer.title');
+
+    const back = document.getElementById('explorer-back');
+    back.href = `index.html${window.location.search}`;
+    back.textContent = `← ${t('selfTest.back')}`;
+
+    await runPage();
+});
@@ -0,0 +1,132 @@
+// Sexual Abuse Suspicion Score - Model explorer
+// Summaries of the subset models of a model.json for the explorer page: one row per subset, the odds
+// ratios of one subset for its forest plot, and how each variable's coefficient moves when another
+// variable is added to the subset (the heat-map). No DOM access.
+
+import { criticalValue, modelUnreliability } from './scorer.js';
+import { expectedCoefficientNames } from './model-validation.js';
+
+// Columns the table can be sorted by, with the value each one sorts on
+const SORT_VALUES = {
+    name: (row) => row.name,
+    size: (row) => row.variables.length,
+    nObs: (row) => row.nObs,
+    auc: (row) => row.auc,
+    ciWidth: (row) => row.ciWidth,
+    status: (row) => (row.unreliability === null ? 0 : 1)
+};
+export const SORT_KEYS = Object.keys(SORT_VALUES);
+
+// One row per subset model: { name, variables, nObs, nAbuse, nControl, auc, ciWidth, converged, unreliability }
+// (unreliability: why scoring would fall back to a nested model, or null, see modelUnreliability)
+export function summarizeModels(modelData) {
+    return Object.entries(modelData.models).map(([name, info]) => ({
+        name,
+        variables: info.variables,
+        nObs: info.n_obs ?? null,
+        nAbuse: info.n_abuse ?? null,
+        nControl: info.n_control ?? null,
+        auc: info.auc ?? null,
+        ciWidth: info.typical_ci_width ?? null,
+        converged: info.converged !== false,
+        unreliability: modelUnreliability(info)
+    }));
+}
+
+// Rows kept by the filters, in the requested order
+// filters: { required: [variable ids every kept subset contains], size: number of variables or null,
+//            reliableOnly: drop the subsets that scoring would not use }
+// sort: { key: one of SORT_KEYS, descending }; missing values go last, ties by name
+export function filterRows(rows, filters, sort) {
+    const value = SORT_VALUES[sort.key] || SORT_VALUES.name;
+    const direction = sort.descending ? -1 : 1;
+
+    return rows
+        .filter(row => filters.required.every(id => row.variables.includes(id)))
+        .filter(row => filters.size === null || row.variables.length === filters.size)
+        .filter(row => !filters.reliableOnly || row.unreliability === null)
+        .sort((a, b) => {
+            const va = value(a);
+            const vb = value(b);
+            if (va === null || vb === null) {
+                return va === vb ? a.name.localeCompare(b.name) : va === null ? 1 : -1;
+            }
+            const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+            return order * direction || a.name.localeCompare(b.name);
+        });
+}
+
+// Odds ratios of a subset model with their Wald CI at the given level, one per variable (the
+// intercept is left out); per unit for numeric variables. lower / upper are null without a SE.
+export function oddsRatios(modelData, name, level = 0.95) {
+    const info = modelData.models[name];
+    const z = criticalValue(level);
+    const standardErrors = info.coefficient_se || {};
+    const names = expectedCoefficientNames(modelData, info.variables).slice(1);
+
+    return info.variables.map((variable, index) => {
+        const coefficientName = names[index];
+        const coefficient = info.coefficients[coefficientName];
+        const se = standardErrors[coefficientName];
+        return {
+            variable,
+            coefficientName,
+            coefficient,
+            se: se ?? null,
+            oddsRatio: Math.exp(coefficient),
+            lower: se !== undefined ? Math.exp(coefficient - z * se) : null,
+            upper: se !== undefined ? Math.exp(coefficient + z * se) : null
+        };
+    });
+}
+
+// How much each variable's coefficient changes across subsets.
+// shifts[i][j]: change of variable i's coefficient when variable j is added to a subset holding i,
+// over every pair of subsets S and S + j present in model.json: { mean, meanAbsolute, min, max, pairs },
+// or null on the diagonal and when there is no such pair. ranges[i]: { min, max, count } of variable i's
+// coefficient over every subset holding it (null when none does).
+export function coefficientShifts(modelData) {
+    const ids = modelData.variables.map(variable => variable.id);
+    const coefficientOf = (info, id) => info.coefficients[expectedCoefficientNames(modelData, [id])[1]];
+    const byKey = new Map(Object.values(modelData.models).map(info => [[...info.variables].sort().join('|'), info]));
+
+    const shifts = ids.map(() => ids.map(() => []));
+    const ranges = ids.map(() => null);
+
+    byKey.forEach((info, key) => {
+        const variables = key.split('|');
+        variables.forEach(id => {
+            const i = ids.indexOf(id);
+            const coefficient = coefficientOf(info, id);
+            const range = ranges[i] || { min: coefficient, max: coefficient, count: 0 };
+            ranges[i] = { min: Math.min(range.min, coefficient), max: Math.max(range.max, coefficient), count: range.count + 1 };
+
+            ids.forEach((added, j) => {
+                if (variables.includes(added)) {
+                    return;
+                }
+                const larger = byKey.get([...variables, added].sort().join('|'));
+                if (larger) {
+                    shifts[i][j].push(coefficientOf(larger, id) - coefficient);
+                }
+            });
+        });
+    });
+
+    return {
+        variables: ids,
+        ranges,
+        shifts: shifts.map((row, i) => row.map((changes, j) => {
+            if (i === j || changes.length === 0) {
+                return null;
+            }
+            return {
+                mean: changes.reduce((sum, change) => sum + change, 0) / changes.length,
+                meanAbsolute: changes.reduce((sum, change) => sum + Math.abs(change), 0) / changes.length,
+                min: Math.min(...changes),
+                max: Math.max(...changes),
+                pairs: changes.length
+            };
+        }))
+    };
+}
@@ -0,0 +1,102 @@
+// Sexual Abuse Suspicion Score - Model registry
+// models.json lists the exported model versions the page can load: one of them is the default,
+// the others can be picked by the user (?model=<version>) or scored alongside it (?compare=<version>).
+// No DOM access, so the registry and comparison helpers are shared by the app and the self-test page.
+
+import { subsetKey } from './model-validation.js';
+
+export const REGISTRY_URL = 'models.json';
+export const MODEL_QUERY_PARAM = 'model';
+export const COMPARE_QUERY_PARAM = 'compare';
+
+// Registry of a deployment without models.json: model.json alone, whatever its version
+export const SINGLE_MODEL_REGISTRY = Object.freeze({
+    default: null,
+    models: Object.freeze([Object.freeze({ version: null, file: 'model.json', date: null })])
+});
+
+// Read models.json; a deployment without it, or with an unreadable one, serves model.json alone
+export async function loadRegistry() {
+    try {
+        const response = await fetch(REGISTRY_URL);
+        if (!response.ok) {
+            return SINGLE_MODEL_REGISTRY;
+        }
+        return parseRegistry(await response.json());
+    } catch (error) {
+        console.warn('Model registry ignored:', error);
+        return SINGLE_MODEL_REGISTRY;
+    }
+}
+
+// Check the parsed models.json and return { default, models }; throws an Error describing the problem
+export function parseRegistry(data) {
+    if (!data || typeof data !== 'object' || !Array.isArray(data.models) || data.models.length === 0) {
+        throw new Error('models.json must hold a non-empty "models" list');
+    }
+
+    const versions = new Set();
+    const models = data.models.map((entry, index) => {
+        if (!entry || typeof entry.version !== 'string' || entry.version === '') {
+            throw new Error(`models[${index}]: missing version`);
+        }
+        if (typeof entry.file !== 'string' || !entry.file.endsWith('.json')) {
+            throw new Error(`models[${index}]: missing or invalid file`);
+        }
+        if (versions.has(entry.version)) {
+            throw new Error(`models[${index}]: duplicate version ${entry.version}`);
+        }
+        versions.add(entry.version);
+        return { version: entry.version, file: entry.file, date: entry.date ?? null };
+    });
+
+    if (data.default !== undefined && !versions.has(data.default)) {
+        throw new Error(`Default version ${data.default} is not listed`);
+    }
+    return { default: data.default ?? models[0].version, models };
+}
+
+// Registry entry for a version (null: the default one); undefined when the version is not listed
+export function findRegistryEntry(registry, version) {
+    const wanted = version ?? registry.default;
+    return wanted === null
+        ? registry.models[0]
+        : registry.models.find(entry => entry.version === wanted);
+}
+
+// Subset model of modelData fitted on exactly these variables, as { name, info }, or null
+export function findSubsetModel(modelData, variableIds) {
+    const key = subsetKey(variableIds);
+    const found = Object.entries(modelData.models).find(([, info]) => subsetKey(info.variables) === key);
+    return found ? { name: found[0], info: found[1] } : null;
+}
+
+// Coefficients, AUC and sample size of the same variable subset in two model versions.
+// Either side is null when that version has no model for the subset; a coefficient missing
+// on one side has a null estimate there and no difference.
+export function compareSubsetModels(modelA, modelB, variableIds) {
+    const a = findSubsetModel(modelA, variableIds);
+    const b = findSubsetModel(modelB, variableIds);
+    const coefficientsA = a ? a.info.coefficients : {};
+    const coefficientsB = b ? b.info.coefficients : {};
+    const names = [...new Set([...Object.keys(coefficientsA), ...Object.keys(coefficientsB)])];
+
+    const side = (found) => found
+        ? { name: found.name, auc: found.info.auc, nObs: found.info.n_obs }
+        : null;
+
+    return {
+        a: side(a),
+        b: side(b),
+        coefficients: names.map(name => {
+            const estimateA = coefficientsA[name] ?? null;
+            const estimateB = coefficientsB[name] ?? null;
+            return {
+                name,
+                a: estimateA,
+                b: estimateB,
+                difference: estimateA !== null && estimateB !== null ? estimateB - estimateA : null
+            };
+        })
+    };
+}
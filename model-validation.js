@@ -0,0 +1,336 @@
+// Sexual Abuse Suspicion Score - model.json validation
+// Structural and numerical checks run at load time, before anything is scored.
+// Every issue carries a message code and its parameters; the page translates them
+// (catalog key validation.<code>), so the failure screen follows the interface language.
+
+// Numerical tolerances: model.json is written by R with 6 significant digits
+const SYMMETRY_TOLERANCE = 1e-5;
+const PSD_TOLERANCE = 1e-5;
+const PREVALENCE_TOLERANCE = 1e-4;
+
+function issue(severity, path, code, params = {}) {
+    return { severity, path, code, params };
+}
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+// Coefficient names expected for a subset model, in the order R writes them
+export function expectedCoefficientNames(modelData, variableIds) {
+    return ['(Intercept)', ...variableIds.map(id => {
+        const variable = modelData.variables.find(v => v.id === id);
+        return variable && variable.type === 'boolean' ? id + 'TRUE' : id;
+    })];
+}
+
+// Canonical key for a set of variable ids (order-independent)
+export function subsetKey(variableIds) {
+    return [...variableIds].sort().join('|');
+}
+
+// Eigenvalues of a small symmetric matrix (cyclic Jacobi rotations)
+export function symmetricEigenvalues(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+
+    for (let sweep = 0; sweep < 100; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                offDiagonal += a[p][q] * a[p][q];
+            }
+        }
+        if (offDiagonal < 1e-22) {
+            break;
+        }
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-300) {
+                    continue;
+                }
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+            }
+        }
+    }
+
+    return a.map((row, i) => row[i]);
+}
+
+function validateVariables(modelData, issues) {
+    if (!Array.isArray(modelData.variables) || modelData.variables.length === 0) {
+        issues.push(issue('error', 'variables', 'variables_missing'));
+        return false;
+    }
+
+    const seen = new Set();
+    modelData.variables.forEach((variable, index) => {
+        const path = `variables[${index}]`;
+        if (!variable || typeof variable.id !== 'string' || variable.id === '') {
+            issues.push(issue('error', path, 'variable_no_id'));
+            return;
+        }
+        if (seen.has(variable.id)) {
+            issues.push(issue('error', path, 'variable_duplicate', { id: variable.id }));
+        }
+        seen.add(variable.id);
+        if (variable.type !== 'boolean' && variable.type !== 'numeric') {
+            issues.push(issue('error', path, 'variable_unknown_type', { id: variable.id, type: variable.type }));
+        }
+        // Training range is optional (older exports have none), but without it out-of-range answers are not flagged
+        const range = variable.training_range;
+        if (range === undefined) {
+            if (variable.type === 'numeric') {
+                issues.push(issue('warning', `${path}.training_range`, 'training_range_missing', { id: variable.id }));
+            }
+        } else if (!(range && isFiniteNumber(range.min) && isFiniteNumber(range.max) && range.min <= range.max)) {
+            issues.push(issue('error', `${path}.training_range`, 'training_range_invalid', { id: variable.id }));
+        }
+    });
+
+    return issues.every(i => i.severity !== 'error');
+}
+
+function validateSubsetModel(modelData, name, model, issues) {
+    const path = `models.${name}`;
+
+    if (!model || !Array.isArray(model.variables) || model.variables.length === 0) {
+        issues.push(issue('error', path, 'model_no_variables'));
+        return;
+    }
+
+    const unknownIds = model.variables.filter(id => !modelData.variables.some(v => v.id === id));
+    if (unknownIds.length > 0) {
+        issues.push(issue('error', path, 'model_unknown_variables', { ids: unknownIds.join(', ') }));
+        return;
+    }
+
+    const coefficients = model.coefficients || {};
+    const expected = expectedCoefficientNames(modelData, model.variables);
+
+    expected.forEach(coefName => {
+        if (!isFiniteNumber(coefficients[coefName])) {
+            issues.push(issue('error', `${path}.coefficients`, 'coefficient_missing', { name: coefName }));
+        }
+    });
+    Object.keys(coefficients).filter(coefName => !expected.includes(coefName)).forEach(coefName => {
+        issues.push(issue('error', `${path}.coefficients`, 'coefficient_unexpected', { name: coefName }));
+    });
+
+    // Every coefficient needs a full row and column in the covariance matrix
+    const vcov = model.coefficient_vcov;
+    if (!vcov) {
+        issues.push(issue('error', `${path}.coefficient_vcov`, 'vcov_missing'));
+        return;
+    }
+
+    let complete = true;
+    expected.forEach(rowName => {
+        expected.forEach(colName => {
+            if (!vcov[rowName] || !isFiniteNumber(vcov[rowName][colName])) {
+                complete = false;
+                issues.push(issue('error', `${path}.coefficient_vcov`, 'vcov_entry_missing', { row: rowName, column: colName }));
+            }
+        });
+    });
+    if (!complete) {
+        return;
+    }
+
+    const matrix = expected.map(rowName => expected.map(colName => vcov[rowName][colName]));
+
+    for (let i = 0; i < matrix.length; i++) {
+        for (let j = i + 1; j < matrix.length; j++) {
+            const scale = Math.max(Math.abs(matrix[i][j]), Math.abs(matrix[j][i]), 1);
+            if (Math.abs(matrix[i][j] - matrix[j][i]) > SYMMETRY_TOLERANCE * scale) {
+                issues.push(issue('error', `${path}.coefficient_vcov`, 'vcov_not_symmetric', { row: expected[i], column: expected[j] }));
+            }
+        }
+    }
+
+    const eigenvalues = symmetricEigenvalues(matrix);
+    const largest = Math.max(...eigenvalues.map(Math.abs));
+    const smallest = Math.min(...eigenvalues);
+    if (smallest < -PSD_TOLERANCE * Math.max(largest, 1)) {
+        issues.push(issue('error', `${path}.coefficient_vcov`, 'vcov_not_psd', { eigenvalue: smallest.toExponential(2) }));
+    }
+
+    if (!(isFiniteNumber(model.auc) && model.auc >= 0 && model.auc <= 1)) {
+        issues.push(issue('error', `${path}.auc`, 'auc_invalid', { value: model.auc }));
+    }
+    if (!isPositiveInteger(model.n_obs)) {
+        issues.push(issue('error', `${path}.n_obs`, 'n_obs_invalid', { value: model.n_obs }));
+    }
+    if (model.converged === false) {
+        issues.push(issue('warning', `${path}.converged`, 'not_converged'));
+    }
+
+    validateOperatingPoints(model, path, issues);
+    validateCoverage(modelData, model, path, issues);
+}
+
+// Coverage is optional (older exports have none); when present it lists the model's boolean
+// variables and counts training patients per yes/no combination, one character per listed
+// variable ("1" = yes, "0" = no)
+function validateCoverage(modelData, model, path, issues) {
+    const coverage = model.coverage;
+    if (coverage === undefined) {
+        return;
+    }
+    const booleanIds = model.variables.filter(varId => {
+        const variable = modelData.variables.find(v => v.id === varId);
+        return variable && variable.type === 'boolean';
+    });
+    const valid = coverage && Array.isArray(coverage.variables) &&
+        subsetKey(coverage.variables) === subsetKey(booleanIds) &&
+        coverage.patterns && typeof coverage.patterns === 'object' &&
+        Object.entries(coverage.patterns).every(([pattern, count]) =>
+            pattern.length === coverage.variables.length && /^[01]*$/.test(pattern) && Number.isInteger(count) && count >= 0);
+    if (!valid) {
+        issues.push(issue('error', `${path}.coverage`, 'coverage_invalid'));
+    }
+}
+
+// Operating points are optional (older exports have none) but must be usable when present
+function validateOperatingPoints(model, path, issues) {
+    const isProportion = (value) => isFiniteNumber(value) && value >= 0 && value <= 1;
+
+    if (model.youden_threshold !== undefined &&
+        !(isFiniteNumber(model.youden_threshold) && model.youden_threshold > 0 && model.youden_threshold < 1)) {
+        issues.push(issue('error', `${path}.youden_threshold`, 'youden_invalid', { value: model.youden_threshold }));
+    }
+
+    const roc = model.roc;
+    if (roc === undefined) {
+        return;
+    }
+    const columns = [roc && roc.threshold_logit, roc && roc.sensitivity, roc && roc.specificity];
+    if (!columns.every(Array.isArray) || columns.some(column => column.length !== columns[0].length) || columns[0].length === 0) {
+        issues.push(issue('error', `${path}.roc`, 'roc_incomplete'));
+        return;
+    }
+    const sorted = roc.threshold_logit.every((t, i) => isFiniteNumber(t) && (i === 0 || t >= roc.threshold_logit[i - 1]));
+    if (!sorted || !roc.sensitivity.every(isProportion) || !roc.specificity.every(isProportion)) {
+        issues.push(issue('error', `${path}.roc`, 'roc_invalid'));
+    }
+}
+
+function validateModels(modelData, issues) {
+    if (!modelData.models || typeof modelData.models !== 'object') {
+        issues.push(issue('error', 'models', 'models_missing'));
+        return;
+    }
+
+    const subsets = new Map();
+    Object.entries(modelData.models).forEach(([name, model]) => {
+        validateSubsetModel(modelData, name, model, issues);
+        if (model && Array.isArray(model.variables)) {
+            const key = subsetKey(model.variables);
+            if (subsets.has(key)) {
+                issues.push(issue('error', `models.${name}`, 'subset_duplicate', { other: subsets.get(key) }));
+            }
+            subsets.set(key, name);
+        }
+    });
+
+    // All 2^n - 1 non-empty subsets are expected; a missing one (skipped by the export for lack of
+    // events) is only a warning, since its answers are scored with a nested model (see findBestModel)
+    const ids = modelData.variables.map(v => v.id);
+    const total = 2 ** ids.length - 1;
+    const missing = [];
+    for (let mask = 1; mask <= total; mask++) {
+        const subset = ids.filter((_, i) => mask & (1 << i));
+        if (!subsets.has(subsetKey(subset))) {
+            missing.push(subset.join(' + '));
+        }
+    }
+    if (missing.length > 0) {
+        issues.push(issue('warning', 'models', 'subsets_missing', { count: missing.length, total, subsets: missing.join('; ') }));
+    }
+
+    // Operating points are optional, but a model.json exported without them cannot show sensitivity,
+    // specificity, PPV and NPV, nor use the Youden cut-off: said once for the whole file
+    const models = Object.values(modelData.models);
+    const withoutOperatingPoints = models.filter(model => model && model.roc === undefined).length;
+    if (withoutOperatingPoints > 0) {
+        issues.push(issue('warning', 'models', 'operating_points_missing', { count: withoutOperatingPoints, total: models.length }));
+    }
+
+    // Likewise for coverage, which only models with a yes/no variable have
+    const withBooleans = models.filter(model => model && Array.isArray(model.variables) && model.variables.some(varId => {
+        const variable = modelData.variables.find(v => v.id === varId);
+        return variable && variable.type === 'boolean';
+    }));
+    const withoutCoverage = withBooleans.filter(model => model.coverage === undefined).length;
+    if (withoutCoverage > 0) {
+        issues.push(issue('warning', 'models', 'coverage_missing', { count: withoutCoverage, total: withBooleans.length }));
+    }
+}
+
+function validatePrevalenceInfo(modelData, issues) {
+    const info = modelData.prevalence_info;
+    if (!info) {
+        issues.push(issue('error', 'prevalence_info', 'prevalence_info_missing'));
+        return;
+    }
+
+    const inOpenUnitInterval = (value) => isFiniteNumber(value) && value > 0 && value < 1;
+
+    if (!inOpenUnitInterval(info.sample_prevalence)) {
+        issues.push(issue('error', 'prevalence_info.sample_prevalence', 'sample_prevalence_invalid', { value: info.sample_prevalence }));
+    }
+    if (info.default_target_prevalence !== undefined && !inOpenUnitInterval(info.default_target_prevalence)) {
+        issues.push(issue('error', 'prevalence_info.default_target_prevalence', 'default_prevalence_invalid',
+            { value: info.default_target_prevalence }));
+    }
+
+    if (isPositiveInteger(info.sample_n) && Number.isInteger(info.sample_n_abuse) && Number.isInteger(info.sample_n_control)) {
+        if (info.sample_n_abuse + info.sample_n_control !== info.sample_n) {
+            issues.push(issue('error', 'prevalence_info', 'counts_inconsistent',
+                { abuse: info.sample_n_abuse, control: info.sample_n_control, n: info.sample_n }));
+        } else if (Math.abs(info.sample_n_abuse / info.sample_n - info.sample_prevalence) > PREVALENCE_TOLERANCE) {
+            issues.push(issue('error', 'prevalence_info.sample_prevalence', 'sample_prevalence_mismatch',
+                { value: info.sample_prevalence, abuse: info.sample_n_abuse, n: info.sample_n }));
+        }
+    } else {
+        issues.push(issue('error', 'prevalence_info', 'counts_missing'));
+    }
+}
+
+// Validate a parsed model.json document
+// Returns { valid, errors, warnings }; `valid` is false as soon as one error is found
+export function validateModel(modelData) {
+    const issues = [];
+
+    if (!modelData || typeof modelData !== 'object') {
+        issues.push(issue('error', '', 'not_object'));
+    } else {
+        if (!modelData.metadata || !modelData.metadata.version) {
+            issues.push(issue('warning', 'metadata.version', 'version_missing'));
+        }
+        if (validateVariables(modelData, issues)) {
+            validateModels(modelData, issues);
+        }
+        validatePrevalenceInfo(modelData, issues);
+    }
+
+    const errors = issues.filter(i => i.severity === 'error');
+    const warnings = issues.filter(i => i.severity === 'warning');
+    return { valid: errors.length === 0, errors, warnings };
+}
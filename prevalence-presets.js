@@ -0,0 +1,113 @@
+// Sexual Abuse Suspicion Score - Target prevalence presets
+// A preset names a care setting and holds its expected prevalence with a plausible range
+// ({ lower, upper }) or a Beta distribution ({ alpha, beta }). User presets are kept in localStorage.
+
+import { InvalidInputError } from './scorer.js';
+
+export const PRESETS_STORAGE_KEY = 'prevalence_presets';
+export const SELECTED_PRESET_STORAGE_KEY = 'prevalence_preset';
+
+// Built-in presets follow the ranges given in the form description; teams add their own settings
+// Built-in names are translated by the page (catalog key presets.<id>)
+export function builtinPresets(defaultPrevalence) {
+    return [
+        {
+            id: 'model-default',
+            builtin: true,
+            estimate: defaultPrevalence
+        },
+        {
+            id: 'general-screening',
+            builtin: true,
+            estimate: 0.125,
+            lower: 0.10,
+            upper: 0.15
+        },
+        {
+            id: 'specialized-clinic',
+            builtin: true,
+            estimate: 0.30,
+            lower: 0.25,
+            upper: 0.35
+        }
+    ];
+}
+
+// Check a preset and return it normalised; throws InvalidInputError when it cannot be used
+export function validatePreset(preset) {
+    const inUnitInterval = (value) => typeof value === 'number' && value > 0 && value < 1;
+
+    if (!preset || typeof preset.name !== 'string' || preset.name.trim() === '') {
+        throw new InvalidInputError('A prevalence preset needs a name', { preset });
+    }
+
+    if (preset.alpha !== undefined || preset.beta !== undefined) {
+        if (!(preset.alpha > 0 && preset.beta > 0)) {
+            throw new InvalidInputError(`Preset "${preset.name}": Beta parameters must be positive`, { preset });
+        }
+        return {
+            id: preset.id,
+            name: preset.name.trim(),
+            estimate: preset.alpha / (preset.alpha + preset.beta),
+            alpha: preset.alpha,
+            beta: preset.beta
+        };
+    }
+
+    if (!inUnitInterval(preset.estimate)) {
+        throw new InvalidInputError(`Preset "${preset.name}": the estimate must be between 0 and 1`, { preset });
+    }
+    if (preset.lower !== undefined || preset.upper !== undefined) {
+        if (!(inUnitInterval(preset.lower) && inUnitInterval(preset.upper) &&
+              preset.lower <= preset.estimate && preset.estimate <= preset.upper)) {
+            throw new InvalidInputError(`Preset "${preset.name}": the range must contain the estimate`, { preset });
+        }
+        return { id: preset.id, name: preset.name.trim(), estimate: preset.estimate, lower: preset.lower, upper: preset.upper };
+    }
+    return { id: preset.id, name: preset.name.trim(), estimate: preset.estimate };
+}
+
+// Scoring options ({ targetPrevalence, prevalenceUncertainty }) for a preset
+export function presetOptions(preset) {
+    let prevalenceUncertainty = null;
+    if (preset.alpha !== undefined) {
+        prevalenceUncertainty = { alpha: preset.alpha, beta: preset.beta };
+    } else if (preset.lower !== undefined) {
+        prevalenceUncertainty = { lower: preset.lower, upper: preset.upper };
+    }
+    return { targetPrevalence: preset.estimate, prevalenceUncertainty };
+}
+
+// Read user presets from storage, dropping entries that no longer validate
+export function loadPresets(storage) {
+    try {
+        const stored = JSON.parse(storage.getItem(PRESETS_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.flatMap(preset => {
+            try {
+                return [validatePreset(preset)];
+            } catch (error) {
+                return [];
+            }
+        }) : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+export function savePresets(storage, presets) {
+    storage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+}
+
+// Parse a presets file shared by a team (JSON array of presets); ids are reassigned on import
+export function parsePresetsFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new InvalidInputError('The presets file is not valid JSON');
+    }
+    if (!Array.isArray(data)) {
+        throw new InvalidInputError('The presets file must contain a JSON array');
+    }
+    return data.map((preset, index) => ({ ...validatePreset(preset), id: `user-${Date.now()}-${index}` }));
+}
@@ -0,0 +1,374 @@
+// Sexual Abuse Suspicion Score - Site recalibration page
+// Loads the model version the app would load (?model=<version>), reads a labelled cohort CSV in the
+// browser, reports the calibration of the current models on it, fits the recalibration and saves the
+// overlay: as a file to deploy next to model.json, or in this browser's storage.
+
+import { createScorer, ScorerError } from './scorer.js';
+import { validateModel } from './model-validation.js';
+import { parseCsv } from './batch.js';
+import {
+    OUTCOME_COLUMN, MIN_SUBSET_OUTCOMES, RECALIBRATION_URL, readCohort, calibrationMetrics, currentLogits,
+    fitRecalibration, buildOverlay, validateOverlay, readStoredOverlay, storeOverlay
+} from './recalibration.js';
+import { MODEL_QUERY_PARAM, loadRegistry, findRegistryEntry } from './model-registry.js';
+import {
+    loadCatalogs, setLocale, getLocale, setDevMode, initialLocale, t, formatNumber, formatPercent, formatDateTime
+} from './i18n.js';
+import { escapeHtml, downloadFile } from './dom-helpers.js';
+
+// Page state: the model, the cohort read from the file and the recalibration fitted on it
+let modelData = null;
+let scorer = null;
+let cohort = null;
+let recalibration = null;
+let scope = 'global';
+
+// Rows with an error listed on the page; the others are counted
+const LISTED_ERRORS = 20;
+
+// Translated text of a cohort row left out (see readCohort), with the cell values escaped
+function rowErrorText(error) {
+    return error.issues.map(issue => t(`batch.errors.${issue.code}`, Object.fromEntries(
+        Object.entries(issue.params).map(([name, value]) => [name, escapeHtml(value)])))).join('; ');
+}
+
+function statusBox(text) {
+    return `<p class="recalibration-status" role="status"><span aria-hidden="true">✗</span> ${text}</p>`;
+}
+
+// Estimate with its standard error, e.g. "0.61 (SE 0.04)"
+const formatEstimate = (value) => value.estimate === null
+    ? '–'
+    : `${formatNumber(value.estimate, 2)} (${t('recalibration.se', { se: formatNumber(value.se, 2) })})`;
+
+// Calibration plot: observed proportion of cases against mean predicted probability for each group,
+// current models in blue squares, recalibrated in orange circles, with the 95% interval of the observed
+// proportion; well calibrated groups lie on the dashed diagonal
+function renderPlot(current, recalibrated) {
+    const size = 320;
+    const left = 60;
+    const top = 10;
+    const x = (p) => left + p * size;
+    const y = (p) => top + (1 - p) * size;
+    const ticks = [0, 0.2, 0.4, 0.6, 0.8, 1].map(value => `
+        <line x1="${x(value)}" y1="${y(0)}" x2="${x(value)}" y2="${y(0) + 4}" stroke="#6b7280"></line>
+        <text x="${x(value)}" y="${y(0) + 16}" text-anchor="middle" font-size="11" fill="#4b5563">${formatPercent(value, 0)}</text>
+        <line x1="${x(0) - 4}" y1="${y(value)}" x2="${x(0)}" y2="${y(value)}" stroke="#6b7280"></line>
+        <text x="${x(0) - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="#4b5563">${formatPercent(value, 0)}</text>`).join('');
+
+    const points = (groups, color, shape) => groups.map(group => `
+        <line x1="${x(group.predicted)}" y1="${y(group.lower)}" x2="${x(group.predicted)}" y2="${y(group.upper)}" stroke="${color}"></line>
+        ${shape === 'square'
+            ? `<rect x="${x(group.predicted) - 4}" y="${y(group.observed) - 4}" width="8" height="8" fill="${color}"></rect>`
+            : `<circle cx="${x(group.predicted)}" cy="${y(group.observed)}" r="4.5" fill="${color}"></circle>`}`).join('');
+
+    return `
+        <svg class="recalibration-plot" viewBox="0 0 ${left + size + 20} ${top + size + 40}" role="img"
+            aria-label="${escapeHtml(t('recalibration.plot.label'))}">
+            <line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(1)}" stroke="#9ca3af" stroke-dasharray="4,4"></line>
+            <line x1="${x(0)}" y1="${y(0)}" x2="${x(1)}" y2="${y(0)}" stroke="#6b7280"></line>
+            <line x1="${x(0)}" y1="${y(0)}" x2="${x(0)}" y2="${y(1)}" stroke="#6b7280"></line>
+            ${ticks}
+            ${points(current.groups, '#1d4ed8', 'square')}
+            ${recalibrated ? points(recalibrated.groups, '#c2410c', 'circle') : ''}
+            <text x="${x(0.5)}" y="${y(0) + 34}" text-anchor="middle" font-size="12">${escapeHtml(t('recalibration.plot.predicted'))}</text>
+            <text x="12" y="${y(0.5)}" text-anchor="middle" font-size="12" transform="rotate(-90 12 ${y(0.5)})">${escapeHtml(t('recalibration.plot.observed'))}</text>
+        </svg>
+        <p class="explanation-note">
+            <span style="color: #1d4ed8;" aria-hidden="true">■</span> ${t('recalibration.current')}
+            <span style="color: #c2410c;" aria-hidden="true">●</span> ${t('recalibration.recalibrated')}
+            — ${t('recalibration.plot.help', { size: Math.round(current.n / current.groups.length) })}
+        </p>`;
+}
+
+// Calibration of the current models and of the recalibrated ones, side by side
+function renderReport() {
+    const outcomes = cohort.observations.map(observation => observation.outcome);
+    const current = calibrationMetrics(outcomes, currentLogits(modelData, cohort));
+    const recalibrated = recalibration && calibrationMetrics(outcomes, recalibration.logits);
+
+    const rows = [
+        ['observed', (metrics) => formatPercent(metrics.observed)],
+        ['expected', (metrics) => formatPercent(metrics.expected)],
+        ['calibrationInTheLarge', (metrics) => formatEstimate(metrics.calibrationInTheLarge)],
+        ['slope', (metrics) => formatEstimate(metrics.slope)],
+        ['brier', (metrics) => formatNumber(metrics.brier, 3)],
+        ['auc', (metrics) => formatNumber(metrics.auc, 3)]
+    ].map(([key, format]) => `
+        <tr>
+            <th scope="row">${t(`recalibration.metrics.${key}`)}</th>
+            <td class="numeric-cell">${format(current)}</td>
+            <td class="numeric-cell">${recalibrated ? format(recalibrated) : '–'}</td>
+        </tr>`).join('');
+
+    document.getElementById('recalibration-report').innerHTML = `
+        <p class="explanation-note">${t('recalibration.reportHelp')}</p>
+        <table class="recalibration-table">
+            <thead>
+                <tr>
+                    <th scope="col"></th>
+                    <th scope="col">${t('recalibration.current')}</th>
+                    <th scope="col">${t('recalibration.recalibrated')}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <h3>${t('recalibration.plot.title')}</h3>
+        ${renderPlot(current, recalibrated)}`;
+}
+
+// Fit used for each subset model found in the cohort
+function renderFit() {
+    const container = document.getElementById('recalibration-fit');
+    if (!recalibration) {
+        container.innerHTML = '';
+        return;
+    }
+    const global = recalibration.global;
+    const fitText = (fit) => `${formatNumber(fit.intercept, 3)} + ${formatNumber(fit.slope, 3)} × lp`;
+    const rows = recalibration.subsets.map(subset => `
+        <tr>
+            <td><code>${escapeHtml(subset.model)}</code></td>
+            <td class="numeric-cell">${subset.n}</td>
+            <td class="numeric-cell">${subset.events}</td>
+            <td>${t(`recalibration.reason.${subset.reason}`)}</td>
+            <td class="numeric-cell">${fitText(subset.fit || global)}</td>
+        </tr>`).join('');
+
+    container.innerHTML = `
+        <p>${t('recalibration.globalFit', {
+            intercept: formatNumber(global.intercept, 3),
+            slope: formatNumber(global.slope, 3),
+            n: global.n,
+            events: global.events
+        })}</p>
+        <details>
+            <summary>${t('recalibration.subsetsTitle', { count: recalibration.subsets.length })}</summary>
+            <div class="recalibration-scroll">
+                <table class="recalibration-table">
+                    <thead>
+                        <tr>
+                            <th scope="col">${t('recalibration.columns.model')}</th>
+                            <th scope="col">${t('recalibration.columns.n')}</th>
+                            <th scope="col">${t('recalibration.columns.events')}</th>
+                            <th scope="col">${t('recalibration.columns.fit')}</th>
+                            <th scope="col">${t('recalibration.columns.formula')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        </details>`;
+}
+
+// Overlay kept by this browser for the loaded model, if any
+function renderStoredStatus(message = '') {
+    let stored = readStoredOverlay(localStorage);
+    try {
+        stored = stored && validateOverlay(stored, modelData);
+    } catch (error) {
+        stored = null;
+    }
+    document.getElementById('recalibration-stored').innerHTML = (message ? `<strong>${message}</strong> ` : '') + (stored
+        ? t('recalibration.stored', {
+            site: escapeHtml(stored.site ?? t('recalibration.unnamedSite')),
+            date: escapeHtml(formatDateTime(new Date(stored.created)))
+        })
+        : t('recalibration.notStored'));
+    document.getElementById('recalibration-remove').disabled = !stored;
+}
+
+function refit() {
+    const error = document.getElementById('recalibration-fit-error');
+    error.textContent = '';
+    try {
+        recalibration = fitRecalibration(cohort, scope);
+    } catch (fitError) {
+        if (!(fitError instanceof ScorerError)) {
+            throw fitError;
+        }
+        recalibration = null;
+        error.textContent = t('recalibration.fitFailed', { message: fitError.message });
+    }
+    document.getElementById('recalibration-download').disabled = !recalibration;
+    document.getElementById('recalibration-apply').disabled = !recalibration;
+    renderFit();
+    renderReport();
+}
+
+function currentOverlay() {
+    return buildOverlay(modelData, cohort, recalibration, { site: document.getElementById('recalibration-site').value });
+}
+
+// Read the cohort file and show what was kept of it
+async function handleCohortFile(file) {
+    const summary = document.getElementById('recalibration-cohort');
+    const results = document.getElementById('recalibration-results');
+    cohort = null;
+    recalibration = null;
+    results.hidden = true;
+
+    try {
+        cohort = readCohort(scorer, parseCsv(await file.text()));
+    } catch (error) {
+        if (!(error instanceof ScorerError)) {
+            throw error;
+        }
+        const message = error.details.code ? t(`batch.errors.${error.details.code}`, error.details) : error.message;
+        summary.innerHTML = statusBox(escapeHtml(t('recalibration.fileError', { message })));
+        return;
+    }
+    console.log(`Recalibration cohort: ${cohort.n} rows, ${cohort.events} cases`);
+
+    const listed = cohort.errors.slice(0, LISTED_ERRORS).map(error => `
+        <li>${t('batch.line', { line: error.line, message: rowErrorText(error) })}</li>`).join('');
+    summary.innerHTML = `
+        <p>${t('recalibration.cohort.summary', { n: cohort.n, events: cohort.events, prevalence: formatPercent(cohort.prevalence) })}</p>
+        ${cohort.missingColumns.length > 0
+            ? `<p class="explanation-note">${t('batch.missingColumns')} ${escapeHtml(cohort.missingColumns.join(', '))}</p>`
+            : ''}
+        ${cohort.errors.length > 0 ? `
+            <details>
+                <summary>${t('recalibration.cohort.skipped', { count: cohort.errors.length })}</summary>
+                <ul>${listed}</ul>
+            </details>` : ''}`;
+
+    results.hidden = false;
+    refit();
+}
+
+function bindControls() {
+    document.getElementById('recalibration-file').addEventListener('change', (event) => {
+        const file = event.target.files[0];
+        if (file) {
+            handleCohortFile(file);
+        }
+    });
+
+    document.getElementById('recalibration-scope').addEventListener('change', (event) => {
+        scope = event.target.value;
+        refit();
+    });
+
+    document.getElementById('recalibration-download').addEventListener('click', () => {
+        downloadFile(JSON.stringify(currentOverlay(), null, 2), RECALIBRATION_URL, 'application/json');
+    });
+
+    document.getElementById('recalibration-apply').addEventListener('click', () => {
+        storeOverlay(localStorage, currentOverlay());
+        renderStoredStatus(t('recalibration.applied'));
+    });
+
+    document.getElementById('recalibration-remove').addEventListener('click', () => {
+        storeOverlay(localStorage, null);
+        renderStoredStatus(t('recalibration.removed'));
+    });
+}
+
+// Load and validate the model, then build the page
+async function runPage() {
+    const container = document.getElementById('recalibration');
+    const registry = await loadRegistry();
+    const requested = new URLSearchParams(window.location.search).get(MODEL_QUERY_PARAM);
+    const entry = findRegistryEntry(registry, requested);
+
+    if (!entry) {
+        const available = registry.models.map(model => model.version).join(', ');
+        container.innerHTML = statusBox(escapeHtml(t('validation.model_version_unknown', { version: requested, available })));
+        return;
+    }
+
+    try {
+        const response = await fetch(entry.file);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        modelData = await response.json();
+    } catch (error) {
+        container.innerHTML = statusBox(escapeHtml(t('validation.load_failed', { error: error.message })));
+        return;
+    }
+
+    const version = (modelData.metadata && modelData.metadata.version) ?? entry.version ?? '?';
+    const header = `
+        <p>${t('recalibration.intro')}</p>
+        <p class="explanation-note">${t('selfTest.model', { file: `<code>${escapeHtml(entry.file)}</code>`, version: escapeHtml(version) })}</p>`;
+
+    // The overlay is only applied to a model the app scores with
+    const validation = validateModel(modelData);
+    if (!validation.valid) {
+        container.innerHTML = header + statusBox(t('recalibration.blocked')) + `
+            <ul>
+                ${validation.errors.map(issue => `
+                    <li><code>${escapeHtml(issue.path)}</code>: ${escapeHtml(t(`validation.${issue.code}`, issue.params))}</li>
+                `).join('')}
+            </ul>`;
+        return;
+    }
+
+    // Linear predictors on the training scale: no overlay here
+    scorer = createScorer(modelData);
+    const columns = [...modelData.variables.map(variable => variable.id), OUTCOME_COLUMN]
+        .map(column => `<code>${escapeHtml(column)}</code>`).join(', ');
+
+    container.innerHTML = header + `
+        <section>
+            <h2>${t('recalibration.cohort.title')}</h2>
+            <p class="explanation-note">${t('recalibration.cohort.help', { columns })}</p>
+            <label for="recalibration-file">${t('recalibration.cohort.file')}</label>
+            <input type="file" id="recalibration-file" accept=".csv,text/csv">
+            <div id="recalibration-cohort"></div>
+        </section>
+        <div id="recalibration-results" hidden>
+            <section>
+                <h2>${t('recalibration.reportTitle')}</h2>
+                <div id="recalibration-report"></div>
+            </section>
+            <section>
+                <h2>${t('recalibration.fitTitle')}</h2>
+                <p>
+                    <label for="recalibration-scope">${t('recalibration.scope.label')}</label>
+                    <select id="recalibration-scope">
+                        <option value="global">${t('recalibration.scope.global')}</option>
+                        <option value="subset">${t('recalibration.scope.subset', { min: MIN_SUBSET_OUTCOMES })}</option>
+                    </select>
+                </p>
+                <p class="recalibration-error" id="recalibration-fit-error" role="alert"></p>
+                <div id="recalibration-fit"></div>
+            </section>
+            <section>
+                <h2>${t('recalibration.overlayTitle')}</h2>
+                <p>
+                    <label for="recalibration-site">${t('recalibration.site')}</label>
+                    <input type="text" id="recalibration-site" autocomplete="off">
+                </p>
+                <p>
+                    <button type="button" id="recalibration-download">${t('recalibration.download')}</button>
+                    <button type="button" id="recalibration-apply">${t('recalibration.apply')}</button>
+                </p>
+                <p class="explanation-note">${t('recalibration.deployHelp')}</p>
+            </section>
+        </div>
+        <p>
+            <span id="recalibration-stored" role="status"></span>
+            <button type="button" id="recalibration-remove">${t('recalibration.remove')}</button>
+        </p>`;
+
+    bindControls();
+    renderStoredStatus();
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    setDevMode(new URLSearchParams(window.location.search).has('dev'));
+    await loadCatalogs();
+    setLocale(initialLocale(localStorage, navigator.languages || [navigator.language]));
+    document.documentElement.lang = getLocale();
+    document.title = t('recalibration.title');
+    document.getElementById('recalibration-title').textContent = t('recalibration.title');
+
+    const back = document.getElementById('recalibration-back');
+    back.href = `index.html${window.location.search}`;
+    back.textContent = `← ${t('selfTest.back')}`;
+
+    await runPage();
+});
@@ -0,0 +1,395 @@
+// Sexual Abuse Suspicion Score - Site recalibration
+// A site checks the models on a local labelled cohort (a CSV with one column per model variable and an
+// outcome column) and fits a logistic recalibration of their linear predictor, logit P(abuse) = a + b * lp,
+// either once for every subset model or per subset model. The fit is saved as an overlay file that the
+// scorer applies on top of model.json (createScorer(modelData, overlay)); the cohort itself is never saved.
+// No DOM access: the workspace page (recalibration.html) reads the file and draws the report.
+
+import { ScorerError, InvalidInputError } from './scorer.js';
+import { parseCell, scoreRows } from './batch.js';
+
+export const OUTCOME_COLUMN = 'outcome';
+export const RECALIBRATION_FORMAT = 'abuse-score-recalibration';
+export const RECALIBRATION_FORMAT_VERSION = 1;
+// Overlay deployed next to model.json for every user of the site, and the copy one browser can keep instead
+export const RECALIBRATION_URL = 'recalibration.json';
+export const RECALIBRATION_STORAGE_KEY = 'site_recalibration';
+// A subset model gets its own fit only when the cohort holds this many cases and this many controls for it
+export const MIN_SUBSET_OUTCOMES = 10;
+// Groups of the calibration plot (fewer for small cohorts: at least 10 patients per group)
+export const CALIBRATION_GROUPS = 10;
+// Relative tolerance of the symmetry and determinant checks of an overlay's vcov
+const VCOV_TOLERANCE = 1e-9;
+
+const invLogit = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Score every row of a parsed cohort CSV and read its outcome
+// Returns { observations: [{ line, outcome (0 / 1), linearPredictor, model }], errors, missingColumns, n, events,
+// prevalence }; rows that cannot be scored or have no known outcome are listed in errors and left out.
+// The scorer must not hold an overlay: linear predictors are on the training scale.
+export function readCohort(scorer, rows) {
+    if (rows.length === 0) {
+        throw new ScorerError('The CSV file is empty', { code: 'empty_file' });
+    }
+    const outcomeColumn = rows[0].cells.findIndex(cell => cell.trim().toLowerCase() === OUTCOME_COLUMN);
+    if (outcomeColumn === -1) {
+        throw new ScorerError(`The CSV file has no "${OUTCOME_COLUMN}" column (yes / no for each patient)`);
+    }
+
+    const { results, errors, missingColumns } = scoreRows(scorer, rows);
+    const outcomeErrors = [];
+    const observations = [];
+
+    results.forEach(({ line, cells, result }) => {
+        const outcome = parseCell({ id: OUTCOME_COLUMN, type: 'boolean' }, cells[outcomeColumn]);
+        if (outcome.error || outcome.value === null) {
+            outcomeErrors.push({
+                line,
+                message: outcome.error || `${OUTCOME_COLUMN}: unknown`,
+                issues: [outcome.issue || { code: 'unknown_outcome', params: { variable: OUTCOME_COLUMN } }]
+            });
+        } else if (result) {
+            observations.push({
+                line,
+                outcome: outcome.value ? 1 : 0,
+                linearPredictor: result.linearPredictor,
+                model: result.selectedModel
+            });
+        }
+    });
+
+    const events = observations.filter(observation => observation.outcome === 1).length;
+    if (events === 0 || events === observations.length) {
+        throw new ScorerError(`The cohort needs both cases and controls: ${events} of ${observations.length} usable rows are cases`);
+    }
+
+    return {
+        observations,
+        errors: [...errors, ...outcomeErrors].sort((a, b) => a.line - b.line),
+        missingColumns,
+        n: observations.length,
+        events,
+        prevalence: events / observations.length
+    };
+}
+
+// Log-likelihood, gradient and information of a logistic model at (intercept, slope)
+function logisticTerms(outcomes, x, intercept, slope) {
+    const terms = { logLikelihood: 0, gradientA: 0, gradientB: 0, infoAA: 0, infoAB: 0, infoBB: 0 };
+    outcomes.forEach((y, i) => {
+        const eta = intercept + slope * x[i];
+        const p = invLogit(eta);
+        const weight = p * (1 - p);
+        // log(1 + e^eta) written so that it does not overflow
+        terms.logLikelihood += y * eta - (Math.max(eta, 0) + Math.log1p(Math.exp(-Math.abs(eta))));
+        terms.gradientA += y - p;
+        terms.gradientB += (y - p) * x[i];
+        terms.infoAA += weight;
+        terms.infoAB += weight * x[i];
+        terms.infoBB += weight * x[i] * x[i];
+    });
+    return terms;
+}
+
+// Maximum likelihood fit of logit P(y = 1) = intercept + slope * x by Newton-Raphson, halving the steps
+// that would lower the likelihood
+// fixedSlope: only the intercept is fitted (calibration-in-the-large uses 1)
+// Returns { intercept, slope, vcov: [[var a, cov], [cov, var b]], converged }
+export function fitLogistic(outcomes, x, fixedSlope = null) {
+    let intercept = logit(mean(outcomes));
+    let slope = fixedSlope ?? 0;
+    let terms = logisticTerms(outcomes, x, intercept, slope);
+    let converged = false;
+
+    for (let iteration = 0; iteration < 100 && !converged; iteration++) {
+        const { gradientA, gradientB, infoAA, infoAB, infoBB } = terms;
+        let stepA = gradientA / infoAA;
+        let stepB = 0;
+        if (fixedSlope === null) {
+            const determinant = infoAA * infoBB - infoAB * infoAB;
+            stepA = (infoBB * gradientA - infoAB * gradientB) / determinant;
+            stepB = (infoAA * gradientB - infoAB * gradientA) / determinant;
+        }
+        if (!Number.isFinite(stepA) || !Number.isFinite(stepB)) {
+            break;
+        }
+
+        let next = logisticTerms(outcomes, x, intercept + stepA, slope + stepB);
+        for (let halving = 0; halving < 30 && !(next.logLikelihood >= terms.logLikelihood); halving++) {
+            stepA /= 2;
+            stepB /= 2;
+            next = logisticTerms(outcomes, x, intercept + stepA, slope + stepB);
+        }
+        intercept += stepA;
+        slope += stepB;
+        terms = next;
+        converged = Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8;
+    }
+
+    // Inverse of the information at the estimate
+    const { infoAA, infoAB, infoBB } = terms;
+    const determinant = infoAA * infoBB - infoAB * infoAB;
+    const vcov = fixedSlope !== null
+        ? [[1 / infoAA, 0], [0, 0]]
+        : [[infoBB / determinant, -infoAB / determinant], [-infoAB / determinant, infoAA / determinant]];
+
+    return { intercept, slope, vcov, converged: converged && vcov.flat().every(Number.isFinite) };
+}
+
+// Area under the ROC curve (Mann-Whitney, ties count one half)
+export function areaUnderCurve(outcomes, scores) {
+    const order = scores.map((score, index) => index).sort((a, b) => scores[a] - scores[b]);
+    const ranks = new Array(scores.length);
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && scores[order[end + 1]] === scores[order[start]]) {
+            end++;
+        }
+        for (let k = start; k <= end; k++) {
+            ranks[order[k]] = (start + end) / 2 + 1;
+        }
+        start = end + 1;
+    }
+
+    const events = outcomes.filter(y => y === 1).length;
+    const controls = outcomes.length - events;
+    const rankSum = outcomes.reduce((sum, y, index) => sum + (y === 1 ? ranks[index] : 0), 0);
+    return (rankSum - events * (events + 1) / 2) / (events * controls);
+}
+
+// Wilson interval of a proportion
+function wilsonInterval(successes, n, z = 1.96) {
+    const p = successes / n;
+    const center = (p + z * z / (2 * n)) / (1 + z * z / n);
+    const half = z * Math.sqrt(p * (1 - p) / n + z * z / (4 * n * n)) / (1 + z * z / n);
+    return { lower: Math.max(0, center - half), upper: Math.min(1, center + half) };
+}
+
+// Points of the calibration plot: patients sorted by predicted probability and cut into groups of equal size
+// Each group: { n, predicted (mean), observed (proportion of cases), lower, upper (Wilson 95% interval) }
+export function calibrationGroups(outcomes, probabilities, groups = CALIBRATION_GROUPS) {
+    const count = Math.max(1, Math.min(groups, Math.floor(outcomes.length / 10)));
+    const order = probabilities.map((p, index) => index).sort((a, b) => probabilities[a] - probabilities[b]);
+
+    return Array.from({ length: count }, (_, group) => {
+        const members = order.slice(Math.round(group * order.length / count), Math.round((group + 1) * order.length / count));
+        const events = members.filter(index => outcomes[index] === 1).length;
+        return {
+            n: members.length,
+            predicted: mean(members.map(index => probabilities[index])),
+            observed: events / members.length,
+            ...wilsonInterval(events, members.length)
+        };
+    });
+}
+
+// Calibration of predicted log-odds against the observed outcomes:
+// { n, events, observed, expected, calibrationInTheLarge, slope ({ estimate, se }), brier, auc, groups }
+// calibrationInTheLarge: intercept of logit P(y) = a + logit(predicted), 0 when well calibrated on average;
+// slope: of logit P(y) = a + b * logit(predicted), 1 when the predictions are neither too extreme nor too modest
+export function calibrationMetrics(outcomes, logits) {
+    const probabilities = logits.map(invLogit);
+    const large = fitLogistic(outcomes, logits, 1);
+    const slope = fitLogistic(outcomes, logits);
+
+    return {
+        n: outcomes.length,
+        events: outcomes.filter(y => y === 1).length,
+        observed: mean(outcomes),
+        expected: mean(probabilities),
+        calibrationInTheLarge: { estimate: large.intercept, se: Math.sqrt(large.vcov[0][0]) },
+        slope: slope.converged ? { estimate: slope.slope, se: Math.sqrt(slope.vcov[1][1]) } : { estimate: null, se: null },
+        brier: mean(outcomes.map((y, index) => (probabilities[index] - y) ** 2)),
+        auc: areaUnderCurve(outcomes, logits),
+        groups: calibrationGroups(outcomes, probabilities)
+    };
+}
+
+// Log-odds the current models give the cohort's patients, with the target prevalence set to the cohort's
+export function currentLogits(modelData, cohort) {
+    const offset = logit(cohort.prevalence) - logit(modelData.prevalence_info.sample_prevalence);
+    return cohort.observations.map(observation => observation.linearPredictor + offset);
+}
+
+// Recalibration of a set of observations: { intercept, slope, vcov, n, events, usable }
+// (usable: converged with a positive slope; a negative one would reverse the order of the scores)
+function fitObservations(observations) {
+    const fit = fitLogistic(
+        observations.map(observation => observation.outcome),
+        observations.map(observation => observation.linearPredictor)
+    );
+    return {
+        intercept: fit.intercept,
+        slope: fit.slope,
+        vcov: fit.vcov,
+        n: observations.length,
+        events: observations.filter(observation => observation.outcome === 1).length,
+        usable: fit.converged && fit.slope > 0
+    };
+}
+
+// Fit the recalibration on a cohort (see readCohort)
+// scope 'global': one fit for every subset model; 'subset': one fit per subset model holding at least
+// minOutcomes cases and as many controls, the global fit for the others.
+// Returns { scope, global, subsets: [{ model, n, events, fit (null: uses the global fit), reason }], logits }
+// reason: 'own_fit', 'global_scope', 'too_few_outcomes' or 'not_usable'; logits: recalibrated log-odds of
+// every observation at the cohort prevalence, for the (optimistic, same-cohort) report
+export function fitRecalibration(cohort, scope = 'global', minOutcomes = MIN_SUBSET_OUTCOMES) {
+    const global = fitObservations(cohort.observations);
+    if (!global.usable) {
+        throw new ScorerError('The recalibration could not be fitted on this cohort (no convergence or a slope that is not positive)');
+    }
+
+    const byModel = new Map();
+    cohort.observations.forEach(observation => {
+        byModel.set(observation.model, [...(byModel.get(observation.model) || []), observation]);
+    });
+
+    const subsets = [...byModel.entries()].map(([model, observations]) => {
+        const events = observations.filter(observation => observation.outcome === 1).length;
+        let fit = null;
+        let reason = 'global_scope';
+        if (scope === 'subset') {
+            if (events < minOutcomes || observations.length - events < minOutcomes) {
+                reason = 'too_few_outcomes';
+            } else {
+                fit = fitObservations(observations);
+                reason = fit.usable ? 'own_fit' : 'not_usable';
+                fit = fit.usable ? fit : null;
+            }
+        }
+        return { model, n: observations.length, events, fit, reason };
+    }).sort((a, b) => b.n - a.n || a.model.localeCompare(b.model));
+
+    const fits = new Map(subsets.map(subset => [subset.model, subset.fit || global]));
+    const logits = cohort.observations.map(observation => {
+        const fit = fits.get(observation.model);
+        return fit.intercept + fit.slope * observation.linearPredictor;
+    });
+
+    return { scope, global, subsets, logits };
+}
+
+// Overlay file for a fitted recalibration (see fitRecalibration)
+export function buildOverlay(modelData, cohort, recalibration, { site = null, created = new Date().toISOString() } = {}) {
+    const fitEntry = (fit) => ({ intercept: fit.intercept, slope: fit.slope, vcov: fit.vcov, n: fit.n, events: fit.events });
+    return {
+        format: RECALIBRATION_FORMAT,
+        version: RECALIBRATION_FORMAT_VERSION,
+        model_version: modelData.metadata ? modelData.metadata.version ?? null : null,
+        site: site && site.trim() !== '' ? site.trim() : null,
+        created,
+        scope: recalibration.scope,
+        cohort: { n: cohort.n, events: cohort.events, prevalence: cohort.prevalence },
+        global: fitEntry(recalibration.global),
+        models: Object.fromEntries(recalibration.subsets
+            .filter(subset => subset.fit)
+            .map(subset => [subset.model, fitEntry(subset.fit)]))
+    };
+}
+
+// Short identifier of an overlay (8 hex digits, FNV-1a hash of its site and fitted parameters), kept in
+// shared links and history entries so that a result can be told from one scored with another overlay
+export function overlayId(overlay) {
+    const fits = [['global', overlay.global], ...Object.entries(overlay.models).sort(([a], [b]) => (a < b ? -1 : 1))];
+    const text = JSON.stringify([overlay.site, overlay.scope, overlay.cohort.prevalence,
+        ...fits.map(([name, fit]) => [name, fit.intercept, fit.slope, fit.vcov])]);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Check one fit of an overlay; throws InvalidInputError
+function validateFit(fit, path) {
+    const finite = (value) => typeof value === 'number' && Number.isFinite(value);
+    if (!fit || typeof fit !== 'object' || !finite(fit.intercept) || !finite(fit.slope)) {
+        throw new InvalidInputError(`${path}: intercept and slope must be numbers`);
+    }
+    if (!(fit.slope > 0)) {
+        throw new InvalidInputError(`${path}: the slope must be positive, got ${fit.slope}`);
+    }
+    if (!Array.isArray(fit.vcov) || fit.vcov.length !== 2 ||
+        !fit.vcov.every(row => Array.isArray(row) && row.length === 2 && row.every(finite))) {
+        throw new InvalidInputError(`${path}: vcov must be a 2 x 2 matrix of numbers`);
+    }
+    // A covariance matrix: symmetric, with non-negative variances and determinant (rounding aside),
+    // or score() would take the square root of a negative variance
+    const [[varA, covAB], [covBA, varB]] = fit.vcov;
+    const scale = Math.max(Math.abs(covAB), Math.abs(covBA), 1);
+    if (Math.abs(covAB - covBA) > VCOV_TOLERANCE * scale) {
+        throw new InvalidInputError(`${path}: vcov must be symmetric`);
+    }
+    if (varA < 0 || varB < 0 || varA * varB - covAB * covBA < -VCOV_TOLERANCE * varA * varB) {
+        throw new InvalidInputError(`${path}: vcov must be positive semi-definite (non-negative variances and determinant)`);
+    }
+}
+
+// Check a parsed overlay against the model it is applied to and return it; throws InvalidInputError
+// The fits only hold for the model version they were made with (its subset models and their linear predictors)
+export function validateOverlay(overlay, modelData) {
+    if (!overlay || typeof overlay !== 'object' || overlay.format !== RECALIBRATION_FORMAT) {
+        throw new InvalidInputError('This is not a site recalibration file');
+    }
+    if (overlay.version !== RECALIBRATION_FORMAT_VERSION) {
+        throw new InvalidInputError(`Unsupported recalibration file version ${overlay.version}`);
+    }
+    const modelVersion = modelData.metadata ? modelData.metadata.version ?? null : null;
+    if (overlay.model_version !== modelVersion) {
+        throw new InvalidInputError(`The recalibration was fitted for model ${overlay.model_version}, not for model ${modelVersion}`);
+    }
+    if (overlay.scope !== 'global' && overlay.scope !== 'subset') {
+        throw new InvalidInputError(`Unknown recalibration scope ${overlay.scope}`);
+    }
+    const cohort = overlay.cohort;
+    if (!cohort || !(cohort.prevalence > 0 && cohort.prevalence < 1) || !(Number.isInteger(cohort.n) && cohort.n > 0)) {
+        throw new InvalidInputError('cohort: n must be a positive integer and prevalence a proportion between 0 and 1');
+    }
+    if (overlay.site !== null && typeof overlay.site !== 'string') {
+        throw new InvalidInputError('site must be a text or null');
+    }
+    validateFit(overlay.global, 'global');
+    if (!overlay.models || typeof overlay.models !== 'object' || Array.isArray(overlay.models)) {
+        throw new InvalidInputError('models must be an object of { subsetModel: fit }');
+    }
+    Object.entries(overlay.models).forEach(([name, fit]) => {
+        if (!modelData.models[name]) {
+            throw new InvalidInputError(`models.${name}: no such subset model`);
+        }
+        validateFit(fit, `models.${name}`);
+    });
+    return overlay;
+}
+
+// Parse and check an overlay file; throws InvalidInputError
+export function parseOverlay(text, modelData) {
+    let overlay;
+    try {
+        overlay = JSON.parse(text);
+    } catch (error) {
+        throw new InvalidInputError('The recalibration file is not valid JSON');
+    }
+    return validateOverlay(overlay, modelData);
+}
+
+// Overlay kept by this browser (not checked: the model it applies to is not known here), or null
+export function readStoredOverlay(storage) {
+    try {
+        return JSON.parse(storage.getItem(RECALIBRATION_STORAGE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// Keep an overlay in this browser, or forget it (null)
+export function storeOverlay(storage, overlay) {
+    if (overlay) {
+        storage.setItem(RECALIBRATION_STORAGE_KEY, JSON.stringify(overlay));
+    } else {
+        storage.removeItem(RECALIBRATION_STORAGE_KEY);
+    }
+}
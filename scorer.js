@@ -0,0 +1,791 @@
+// Sexual Abuse Suspicion Score - Scoring engine
+// Standalone ES module (no DOM, no globals): used by index.html and importable from Node or other pages
+//
+//   import { createScorer } from './scorer.js';
+//   const scorer = createScorer(modelJson);
+//   const result = scorer.score({ antidepressants: true, violence: false }, { targetPrevalence: 0.25 });
+//
+// A site recalibration overlay (see recalibration.js) can be passed as createScorer(modelJson, overlay).
+
+import { subsetKey } from './model-validation.js';
+
+// Base class for every error raised by the engine, so callers can tell them apart from bugs
+export class ScorerError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'ScorerError';
+        this.details = details;
+    }
+}
+
+// Raised when no usable subset model exists for the set of known variables, not even a nested one
+// reason: why the exact model could not be used (see findBestModel)
+export class ModelNotFoundError extends ScorerError {
+    constructor(knownVariables, reason = 'missing') {
+        super(`No usable model for the selected variables: ${knownVariables.join(', ')} (exact model ${reason.replace(/_/g, ' ')}, and no reliable nested model)`,
+            { knownVariables, reason });
+        this.name = 'ModelNotFoundError';
+    }
+}
+
+// Raised when an input value or a scoring option cannot be interpreted
+export class InvalidInputError extends ScorerError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'InvalidInputError';
+    }
+}
+
+// Uncertainty level definitions (frontend logic, not from backend)
+// Thresholds apply to the width of the 95% CI, whatever confidence level is displayed
+// Labels are translated by the page from the severity (catalog key uncertainty.<severity>).
+// The icon repeats the severity without colour; colours meet WCAG AA contrast on white.
+export const UNCERTAINTY_LEVELS = [
+    {
+        threshold: 0.40,
+        severity: "high",
+        color: "#dc2626",
+        icon: "🚨"
+    },
+    {
+        threshold: 0.20,
+        severity: "medium",
+        color: "#b45309",
+        icon: "⚠️"
+    },
+    {
+        threshold: 0.10,
+        severity: "low",
+        color: "#047857",
+        icon: "✓"
+    },
+    {
+        threshold: 0,
+        severity: "very_low",
+        color: "#047857",
+        icon: "✓"
+    }
+];
+
+// A yes/no combination seen in fewer training patients of the subset model than this is reported as rare
+export const RARE_COMBINATION_COUNT = 5;
+
+const invLogit = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+// Inverse of the standard normal CDF (Acklam's rational approximation, relative error < 1.2e-9)
+export function normalQuantile(p) {
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+        1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+        6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+        -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+        3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    if (p < pLow) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        const q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// Two-sided critical value for a confidence level (1.96 for 0.95), as R's qnorm((1 + level) / 2)
+export function criticalValue(level) {
+    return normalQuantile((1 + level) / 2);
+}
+
+// Trigamma function ψ'(x) for x > 0 (recurrence up to x >= 6, then asymptotic series)
+export function trigamma(x) {
+    let result = 0;
+    while (x < 6) {
+        result += 1 / (x * x);
+        x += 1;
+    }
+    const x2 = 1 / (x * x);
+    return result + 1 / x + x2 / 2 +
+        (1 / x) * x2 * (1 / 6 - x2 * (1 / 30 - x2 * (1 / 42 - x2 * (1 / 30))));
+}
+
+// Variance of logit(target prevalence) implied by the prevalence uncertainty option
+// - { lower, upper }: plausible range, read as a 95% interval on the logit scale
+// - { alpha, beta }: Beta distribution, Var(logit p) = ψ'(α) + ψ'(β)
+export function prevalenceLogitVariance(uncertainty, targetPrevalence) {
+    if (!uncertainty) {
+        return 0;
+    }
+
+    if (uncertainty.alpha !== undefined || uncertainty.beta !== undefined) {
+        const { alpha, beta } = uncertainty;
+        if (!(alpha > 0 && beta > 0)) {
+            throw new InvalidInputError(`Beta prevalence parameters must be positive, got α=${alpha}, β=${beta}`,
+                { option: 'prevalenceUncertainty', value: uncertainty });
+        }
+        return trigamma(alpha) + trigamma(beta);
+    }
+
+    const { lower, upper } = uncertainty;
+    if (!(lower > 0 && upper < 1 && lower <= targetPrevalence && targetPrevalence <= upper)) {
+        throw new InvalidInputError(`Prevalence range must satisfy 0 < lower <= target <= upper < 1, got [${lower}, ${upper}] for ${targetPrevalence}`,
+            { option: 'prevalenceUncertainty', value: uncertainty });
+    }
+    const sd = (logit(upper) - logit(lower)) / (2 * criticalValue(0.95));
+    return sd * sd;
+}
+
+// Boolean answers may come from the form (true/false), from CSV-like sources ('yes'/'no') or as 1/0
+function isTrue(value) {
+    return value === true || value === 'yes' || value === 1;
+}
+
+// A subset model is only used when it converged and was fitted on enough patients. Firth's penalty
+// keeps the estimates finite with few events, but below these counts they mostly reflect the penalty:
+// patients in the fit, and patients of the rarer outcome per coefficient besides the intercept
+// (n_coefficients; exports before it was renamed call it df_residual, with the same value).
+export const MIN_MODEL_OBSERVATIONS = 50;
+export const MIN_EVENTS_PER_COEFFICIENT = 2;
+
+// Why a subset model should not be used for scoring ('not_converged', 'few_observations',
+// 'few_events'), or null when it can be
+export function modelUnreliability(info) {
+    if (info.converged === false) {
+        return 'not_converged';
+    }
+    if (typeof info.n_obs === 'number' && info.n_obs < MIN_MODEL_OBSERVATIONS) {
+        return 'few_observations';
+    }
+    const rarerOutcome = Math.min(info.n_abuse, info.n_control);
+    const coefficientCount = info.n_coefficients ?? info.df_residual ?? info.variables.length;
+    if (Number.isFinite(rarerOutcome) && coefficientCount > 0 && rarerOutcome / coefficientCount < MIN_EVENTS_PER_COEFFICIENT) {
+        return 'few_events';
+    }
+    return null;
+}
+
+// Subset models keyed by their variable set (see subsetKey), built once per model.json
+export function indexModels(modelData) {
+    const index = new Map();
+    Object.entries(modelData.models).forEach(([name, info]) => {
+        index.set(subsetKey(info.variables), { name, info });
+    });
+    return index;
+}
+
+// Select the subset model for the given set of known variables. Returns
+// { name, info, matchType, reason, exactModel, droppedVariables }, where matchType is:
+// - 'exact': the model fitted on exactly these variables (reason null);
+// - 'nested': that model is missing or unreliable (reason: 'missing' or see modelUnreliability), so
+//   the reliable model on the largest subset of the variables is used (ties: higher AUC, then more
+//   patients); the answers to droppedVariables are not taken into account.
+// Throws ModelNotFoundError when no reliable model uses any of the known variables.
+export function findBestModel(modelData, knownVariables, index = indexModels(modelData)) {
+    const exact = index.get(subsetKey(knownVariables));
+    const reason = exact ? modelUnreliability(exact.info) : 'missing';
+    if (!reason) {
+        return { ...exact, matchType: 'exact', reason: null, exactModel: exact.name, droppedVariables: [] };
+    }
+
+    const known = new Set(knownVariables);
+    let best = null;
+    index.forEach(candidate => {
+        const candidateVariables = candidate.info.variables;
+        if (candidateVariables.length >= known.size || !candidateVariables.every(id => known.has(id)) ||
+            modelUnreliability(candidate.info)) {
+            return;
+        }
+        const better = !best ||
+            candidateVariables.length > best.info.variables.length ||
+            (candidateVariables.length === best.info.variables.length &&
+                (candidate.info.auc > best.info.auc ||
+                    (candidate.info.auc === best.info.auc && candidate.info.n_obs > best.info.n_obs)));
+        if (better) {
+            best = candidate;
+        }
+    });
+
+    if (!best) {
+        throw new ModelNotFoundError(knownVariables, reason);
+    }
+    return {
+        ...best,
+        matchType: 'nested',
+        reason,
+        exactModel: exact ? exact.name : null,
+        droppedVariables: knownVariables.filter(id => !best.info.variables.includes(id))
+    };
+}
+
+// Check which uncertainty level applies based on the 95% CI width
+// Uses the CI width from the delta method, not the model's typical_ci_width
+export function checkUncertaintyWarnings(ciWidth) {
+    // Find the appropriate uncertainty level (sorted from highest to lowest threshold)
+    for (const level of UNCERTAINTY_LEVELS) {
+        if (ciWidth >= level.threshold) {
+            return [{
+                ...level,
+                ciWidth: ciWidth
+            }];
+        }
+    }
+
+    // Fallback to lowest uncertainty level
+    return [{
+        ...UNCERTAINTY_LEVELS[UNCERTAINTY_LEVELS.length - 1],
+        ciWidth: ciWidth
+    }];
+}
+
+// Warnings for answers the subset model was not trained on, as language-neutral codes:
+// - out_of_range: a numeric answer outside the range observed in training (variable.training_range)
+// - unseen_combination / rare_combination: yes/no answers absent from, or seen in fewer than
+//   RARE_COMBINATION_COUNT patients of, the subset model's training data (model.coverage)
+// Both fields are optional; a model.json exported before they were added gives no warning.
+export function checkExtrapolation(variables, model, formDataValues) {
+    const warnings = [];
+
+    model.variables.forEach(varId => {
+        const variable = variables.find(v => v.id === varId);
+        const range = variable.training_range;
+        const value = formDataValues[varId];
+        if (variable.type === 'numeric' && range && (value < range.min || value > range.max)) {
+            warnings.push({ code: 'out_of_range', variable: varId, value, min: range.min, max: range.max });
+        }
+    });
+
+    const coverage = model.coverage;
+    if (coverage && Array.isArray(coverage.variables) && coverage.patterns) {
+        const pattern = coverage.variables.map(varId => (formDataValues[varId] ? '1' : '0')).join('');
+        const count = coverage.patterns[pattern] ?? 0;
+        if (count < RARE_COMBINATION_COUNT) {
+            warnings.push({
+                code: count === 0 ? 'unseen_combination' : 'rare_combination',
+                variables: coverage.variables,
+                count,
+                nObs: model.n_obs
+            });
+        }
+    }
+
+    return warnings;
+}
+
+// Calculate confidence interval using delta method with covariance matrix
+// This properly accounts for prevalence adjustment and coefficient correlation
+// extraVariance is added on the logit scale (uncertainty of the target prevalence, independent of the coefficients)
+// recalibration (optional): { slope, variance } of a site recalibration; the coefficient part of the
+// variance is scaled by slope², and the variance of the recalibration fit itself is added
+export function calculateConfidenceInterval(model, formDataValues, adjustedLinearPredictor, level = 0.95, extraVariance = 0,
+    recalibration = null) {
+    const coefficients = model.coefficients;
+    const vcov = model.coefficient_vcov;
+
+    if (!vcov) {
+        // Fallback to old method if vcov not available
+        return {
+            lower: null,
+            upper: null,
+            width: model.typical_ci_width,
+            width95: model.typical_ci_width,
+            method: 'legacy'
+        };
+    }
+
+    // Build design vector: [1, x1, x2, ...] for [intercept, var1, var2, ...]
+    // Order must match coefficient order
+    const coefNames = Object.keys(coefficients);
+    const designVector = [];
+
+    for (const coefName of coefNames) {
+        if (coefName === '(Intercept)') {
+            designVector.push(1);
+        } else if (coefName.endsWith('TRUE')) {
+            // Boolean variable: coefficient names are like "antidepressantsTRUE"
+            const value = formDataValues[coefName.replace(/TRUE$/, '')];
+            designVector.push(isTrue(value) ? 1 : 0);
+        } else {
+            // Numeric variable: coefficient name is the variable id
+            designVector.push(parseFloat(formDataValues[coefName]) || 0);
+        }
+    }
+
+    // Calculate variance of linear predictor: Var(X'β) = X' Vcov X
+    let variance = 0;
+    for (let i = 0; i < coefNames.length; i++) {
+        for (let j = 0; j < coefNames.length; j++) {
+            const vcov_ij = vcov[coefNames[i]][coefNames[j]];
+            variance += designVector[i] * designVector[j] * vcov_ij;
+        }
+    }
+
+    const slope = recalibration ? recalibration.slope : 1;
+    const recalibrationVariance = recalibration ? recalibration.variance : 0;
+    const seCoefficients = Math.sqrt(slope * slope * variance);
+    const se = Math.sqrt(slope * slope * variance + extraVariance + recalibrationVariance);
+
+    // Critical value for confidence level
+    const z = criticalValue(level);
+
+    // CI on logit scale (SE doesn't change with prevalence offset)
+    // The bounds are asymmetric around the probability once transformed back
+    const probLower = invLogit(adjustedLinearPredictor - z * se);
+    const probUpper = invLogit(adjustedLinearPredictor + z * se);
+
+    // 95% width, used for the uncertainty levels so they do not depend on the displayed level
+    const z95 = criticalValue(0.95);
+    const width95 = invLogit(adjustedLinearPredictor + z95 * se) - invLogit(adjustedLinearPredictor - z95 * se);
+
+    return {
+        lower: probLower,
+        upper: probUpper,
+        width: probUpper - probLower,
+        width95: width95,
+        se: se,
+        seCoefficients: seCoefficients,
+        sePrevalence: Math.sqrt(extraVariance),
+        seRecalibration: Math.sqrt(recalibrationVariance),
+        method: 'delta'
+    };
+}
+
+// Default decision cut-offs on the probability scale at the target prevalence
+// Low: < 30%, Moderate: 30-70%, High: >= 70%
+export const DEFAULT_THRESHOLDS = {
+    mode: 'fixed',
+    moderate: 0.30,
+    high: 0.70
+};
+
+// R writes thresholds with 6 decimals: a score lying on a cut-off must still count as at or above it
+const CUTOFF_TOLERANCE = 1e-6;
+
+// Get interpretation based on probability and the decision cut-offs in effect ({ moderate, high })
+// The label and recommendation are translated by the page from the level (catalog key interpretation.<level>)
+export function getInterpretation(probability, cutoffs = DEFAULT_THRESHOLDS) {
+    if (probability < cutoffs.moderate - CUTOFF_TOLERANCE) {
+        return { level: "low" };
+    } else if (probability < cutoffs.high - CUTOFF_TOLERANCE) {
+        return { level: "moderate" };
+    } else {
+        return { level: "high" };
+    }
+}
+
+// Decision cut-offs in effect for a subset model, on the probability scale at the target prevalence
+// - { mode: 'fixed', moderate, high }: site-configured cut-offs, used as given
+// - { mode: 'youden', high }: the model's Youden threshold becomes the moderate cut-off; it is stored at the
+//   sample prevalence, so it is moved by the same prevalence offset as the scores
+// Models exported without operating points fall back to the default cut-offs (source 'fixed-fallback')
+// slope: of a site recalibration, which maps a training linear predictor lp to prevalenceOffset + slope × lp
+export function resolveCutoffs(model, thresholds, prevalenceOffset, slope = 1) {
+    if (thresholds.mode === 'youden') {
+        const high = thresholds.high ?? DEFAULT_THRESHOLDS.high;
+        if (model.youden_threshold === undefined) {
+            return { mode: 'youden', moderate: DEFAULT_THRESHOLDS.moderate, high: DEFAULT_THRESHOLDS.high, source: 'fixed-fallback' };
+        }
+        const moderate = invLogit(slope * logit(model.youden_threshold) + prevalenceOffset);
+        return { mode: 'youden', moderate: moderate, high: Math.max(high, moderate), source: 'youden' };
+    }
+    return { mode: 'fixed', moderate: thresholds.moderate, high: thresholds.high, source: 'fixed' };
+}
+
+// Expected performance of the rule "positive when probability >= cutoff" for a subset model
+// Sensitivity and specificity come from the model's ROC table (training data); the prevalence offset
+// shifts every score equally, so they do not depend on the target prevalence. PPV and NPV do, and are
+// recomputed with Bayes' rule for the target prevalence. A site recalibration (slope > 0) keeps the
+// order of the scores, so the same holds with it.
+// Returns null when the model was exported without a ROC table
+export function operatingCharacteristics(model, cutoff, prevalenceOffset, targetPrevalence, slope = 1) {
+    const roc = model.roc;
+    if (!roc || !Array.isArray(roc.threshold_logit) || roc.threshold_logit.length === 0) {
+        return null;
+    }
+
+    // Cut-off on the training scale; thresholds are all the sorted distinct linear predictors of the
+    // training data (export_web_model.R writes the complete table), so the first one at or above the
+    // cut-off classifies the training data exactly like the cut-off does
+    const trainingCutoff = (logit(cutoff) - prevalenceOffset) / slope;
+    const index = roc.threshold_logit.findIndex(t => t >= trainingCutoff - CUTOFF_TOLERANCE);
+    const sensitivity = index === -1 ? 0 : roc.sensitivity[index];
+    const specificity = index === -1 ? 1 : roc.specificity[index];
+
+    const truePositive = sensitivity * targetPrevalence;
+    const falsePositive = (1 - specificity) * (1 - targetPrevalence);
+    const trueNegative = specificity * (1 - targetPrevalence);
+    const falseNegative = (1 - sensitivity) * targetPrevalence;
+
+    return {
+        threshold: cutoff,
+        sensitivity: sensitivity,
+        specificity: specificity,
+        // Undefined when nobody (or everybody) is flagged
+        ppv: truePositive + falsePositive > 0 ? truePositive / (truePositive + falsePositive) : null,
+        npv: trueNegative + falseNegative > 0 ? trueNegative / (trueNegative + falseNegative) : null,
+        // Expected share of patients flagged, and false positives per true positive (the workload)
+        positiveRate: truePositive + falsePositive,
+        falsePositivesPerTruePositive: truePositive > 0 ? falsePositive / truePositive : null
+    };
+}
+
+// Break a score down into its terms on the logit scale ("why this score")
+// Each known variable gets its contribution to the linear predictor and its odds ratio with a CI at the
+// result's confidence level (ciLevel, per unit for numeric variables); the intercept, the site
+// recalibration (null without one) and the prevalence offset are separate lines
+export function explainResult(modelData, result) {
+    const model = modelData.models[result.selectedModel];
+    const coefficients = model.coefficients;
+    const standardErrors = model.coefficient_se || {};
+    const ciLevel = result.confidenceInterval.level ?? 0.95;
+    const z = criticalValue(ciLevel);
+
+    const terms = model.variables.map(varId => {
+        const variable = modelData.variables.find(v => v.id === varId);
+        const coefName = variable.type === 'boolean' ? varId + 'TRUE' : varId;
+        const coefficient = coefficients[coefName];
+        const se = standardErrors[coefName];
+        const value = result.inputs[varId];
+        const contribution = variable.type === 'boolean'
+            ? (value ? coefficient : 0)
+            : coefficient * value;
+
+        return {
+            variable: varId,
+            type: variable.type,
+            coefficientName: coefName,
+            value: value,
+            coefficient: coefficient,
+            se: se,
+            contribution: contribution,
+            oddsRatio: Math.exp(coefficient),
+            oddsRatioLower: se !== undefined ? Math.exp(coefficient - z * se) : null,
+            oddsRatioUpper: se !== undefined ? Math.exp(coefficient + z * se) : null
+        };
+    });
+
+    return {
+        ciLevel: ciLevel,
+        intercept: {
+            coefficient: coefficients['(Intercept)'],
+            se: standardErrors['(Intercept)']
+        },
+        terms: terms,
+        recalibration: result.recalibration && {
+            intercept: result.recalibration.intercept,
+            slope: result.recalibration.slope,
+            contribution: result.recalibration.calibratedPredictor - result.linearPredictor
+        },
+        prevalenceOffset: {
+            sampleLogOdds: result.baselineLogOdds,
+            targetLogOdds: result.targetLogOdds,
+            contribution: result.targetLogOdds - result.baselineLogOdds
+        },
+        linearPredictor: result.linearPredictor,
+        adjustedLinearPredictor: result.adjustedLinearPredictor
+    };
+}
+
+// Check the thresholds option; throws InvalidInputError when it cannot be used
+function validateThresholds(thresholds) {
+    const inUnitInterval = (value) => typeof value === 'number' && value > 0 && value < 1;
+
+    if (thresholds.mode === 'youden') {
+        if (thresholds.high !== undefined && !inUnitInterval(thresholds.high)) {
+            throw new InvalidInputError(`High cut-off must be strictly between 0 and 1, got ${thresholds.high}`,
+                { option: 'thresholds', value: thresholds });
+        }
+    } else if (thresholds.mode === 'fixed') {
+        if (!(inUnitInterval(thresholds.moderate) && inUnitInterval(thresholds.high) && thresholds.moderate <= thresholds.high)) {
+            throw new InvalidInputError(`Cut-offs must satisfy 0 < moderate <= high < 1, got ${thresholds.moderate} and ${thresholds.high}`,
+                { option: 'thresholds', value: thresholds });
+        }
+    } else {
+        throw new InvalidInputError(`Unknown thresholds mode: ${thresholds.mode}`, { option: 'thresholds', value: thresholds });
+    }
+}
+
+// Normalise one raw input value for a variable definition
+// Returns null for unknown values and throws InvalidInputError for values that cannot be interpreted
+function normalizeValue(variable, value) {
+    if (value === null || value === undefined || value === '') {
+        return null;
+    }
+
+    if (variable.type === 'boolean') {
+        if (value === true || value === 'yes' || value === 1) return true;
+        if (value === false || value === 'no' || value === 0) return false;
+        throw new InvalidInputError(`Invalid value for ${variable.id}: expected yes/no, got ${JSON.stringify(value)}`,
+            { variable: variable.id, value });
+    }
+
+    const numValue = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(numValue)) {
+        throw new InvalidInputError(`Invalid value for ${variable.id}: expected a number, got ${JSON.stringify(value)}`,
+            { variable: variable.id, value });
+    }
+    return numValue;
+}
+
+// Site recalibration of a subset model: its own fit in a per-subset overlay, else the global one
+function recalibrationFit(recalibration, modelName) {
+    const own = recalibration.models[modelName];
+    return own ? { scope: 'subset', ...own } : { scope: 'global', ...recalibration.global };
+}
+
+// Create a scorer bound to one model.json document
+// recalibration (optional): site recalibration overlay checked by validateOverlay (recalibration.js)
+export function createScorer(modelData, recalibration = null) {
+    const variables = modelData.variables;
+    const samplePrevalence = modelData.prevalence_info.sample_prevalence;
+    const defaultTargetPrevalence = modelData.prevalence_info.default_target_prevalence ?? 0.25;
+    const modelIndex = indexModels(modelData);
+
+    // Calculate probability using the appropriate subset model
+    // inputs: { [variableId]: value } where unknown variables are null, undefined or ''
+    // Returns null when no variable is known
+    // prevalenceUncertainty (optional): { lower, upper } range or { alpha, beta } Beta distribution
+    // for the target prevalence, propagated into the CI alongside the coefficient uncertainty
+    // thresholds (optional): decision cut-offs, see resolveCutoffs (default: fixed 30% / 70%)
+    function score(inputs, options = {}) {
+        const {
+            targetPrevalence = defaultTargetPrevalence,
+            ciLevel = 0.95,
+            prevalenceUncertainty = null,
+            thresholds = DEFAULT_THRESHOLDS
+        } = options;
+
+        if (!(targetPrevalence > 0 && targetPrevalence < 1)) {
+            throw new InvalidInputError(`Target prevalence must be strictly between 0 and 1, got ${targetPrevalence}`,
+                { option: 'targetPrevalence', value: targetPrevalence });
+        }
+        if (!(ciLevel > 0 && ciLevel < 1)) {
+            throw new InvalidInputError(`Confidence level must be strictly between 0 and 1, got ${ciLevel}`,
+                { option: 'ciLevel', value: ciLevel });
+        }
+        validateThresholds(thresholds);
+
+        // Identify known variables
+        const knownVariables = [];
+        const unknownVariables = [];
+        const formDataValues = {};
+
+        variables.forEach(variable => {
+            const value = normalizeValue(variable, inputs[variable.id]);
+
+            if (value === null) {
+                unknownVariables.push(variable);
+            } else {
+                knownVariables.push(variable.id);
+                formDataValues[variable.id] = value;
+            }
+        });
+
+        // If no variables are known, don't calculate anything
+        if (knownVariables.length === 0) {
+            return null;
+        }
+
+        // Subset model for this variable set (exact, or nested when the exact one cannot be used)
+        const selectedModel = findBestModel(modelData, knownVariables, modelIndex);
+        const model = selectedModel.info;
+        const coefficients = model.coefficients;
+
+        // Calculate linear predictor using selected model
+        let linearPredictor = coefficients['(Intercept)'];
+
+        model.variables.forEach(varId => {
+            const value = formDataValues[varId];
+            const varDef = variables.find(v => v.id === varId);
+
+            if (varDef.type === 'boolean') {
+                if (value && coefficients[varId + 'TRUE'] !== undefined) {
+                    linearPredictor += coefficients[varId + 'TRUE'];
+                }
+            } else if (varDef.type === 'numeric') {
+                if (coefficients[varId] !== undefined) {
+                    linearPredictor += coefficients[varId] * value;
+                }
+            }
+        });
+
+        // Site recalibration: calibrated_logit = a + b * original_logit, fitted on the site's cohort,
+        // whose prevalence then replaces the sample prevalence below
+        const sampleLogOdds = logit(samplePrevalence);
+        let calibratedPredictor = linearPredictor;
+        let baselineLogOdds = sampleLogOdds;
+        let siteRecalibration = null;
+        if (recalibration) {
+            const fit = recalibrationFit(recalibration, selectedModel.name);
+            const [[varIntercept, covariance], [, varSlope]] = fit.vcov;
+            calibratedPredictor = fit.intercept + fit.slope * linearPredictor;
+            baselineLogOdds = logit(recalibration.cohort.prevalence);
+            siteRecalibration = {
+                scope: fit.scope,
+                intercept: fit.intercept,
+                slope: fit.slope,
+                variance: varIntercept + 2 * linearPredictor * covariance + linearPredictor * linearPredictor * varSlope,
+                calibratedPredictor: calibratedPredictor,
+                cohortPrevalence: recalibration.cohort.prevalence,
+                site: recalibration.site,
+                created: recalibration.created
+            };
+        }
+
+        // Apply prevalence adjustment to linear predictor
+        // Formula: adjusted_logit = original_logit - log(p_sample/(1-p_sample)) + log(p_target/(1-p_target))
+        const targetLogOdds = logit(targetPrevalence);
+        const adjustedLinearPredictor = calibratedPredictor - baselineLogOdds + targetLogOdds;
+
+        const probability = invLogit(adjustedLinearPredictor);
+
+        // Calculate confidence interval using delta method, plus the prevalence uncertainty if any
+        const prevalenceVariance = prevalenceLogitVariance(prevalenceUncertainty, targetPrevalence);
+        const ciResult = calculateConfidenceInterval(model, formDataValues, adjustedLinearPredictor, ciLevel, prevalenceVariance,
+            siteRecalibration);
+
+        // Decision cut-offs and the expected performance of each one for this subset model
+        // (adjusted = prevalenceOffset + slope * original_logit)
+        const slope = siteRecalibration ? siteRecalibration.slope : 1;
+        const prevalenceOffset = (siteRecalibration ? siteRecalibration.intercept : 0) + targetLogOdds - baselineLogOdds;
+        const cutoffs = resolveCutoffs(model, thresholds, prevalenceOffset, slope);
+        const moderatePoint = operatingCharacteristics(model, cutoffs.moderate, prevalenceOffset, targetPrevalence, slope);
+        const operatingPoints = moderatePoint && {
+            moderate: moderatePoint,
+            high: operatingCharacteristics(model, cutoffs.high, prevalenceOffset, targetPrevalence, slope)
+        };
+
+        return {
+            probability: probability,
+            confidenceInterval: {
+                lower: ciResult.lower,
+                upper: ciResult.upper,
+                width: ciResult.width,
+                width95: ciResult.width95,
+                se: ciResult.se,
+                seCoefficients: ciResult.seCoefficients,
+                sePrevalence: ciResult.sePrevalence,
+                seRecalibration: ciResult.seRecalibration,
+                level: ciLevel,
+                method: ciResult.method
+            },
+            interpretation: getInterpretation(probability, cutoffs),
+            cutoffs: cutoffs,
+            operatingPoints: operatingPoints,
+            uncertaintyWarnings: checkUncertaintyWarnings(ciResult.width95),
+            extrapolationWarnings: checkExtrapolation(variables, model, formDataValues),
+            linearPredictor: linearPredictor,
+            adjustedLinearPredictor: adjustedLinearPredictor,
+            sampleLogOdds: sampleLogOdds,
+            baselineLogOdds: baselineLogOdds,
+            targetLogOdds: targetLogOdds,
+            recalibration: siteRecalibration,
+            samplePrevalence: samplePrevalence,
+            targetPrevalence: targetPrevalence,
+            prevalenceUncertainty: prevalenceUncertainty,
+            options: { targetPrevalence, ciLevel, prevalenceUncertainty, thresholds },
+            inputs: formDataValues,
+            knownVariables: knownVariables,
+            unknownVariables: unknownVariables.map(v => v.id),
+            totalVariables: variables.length,
+            selectedModel: selectedModel.name,
+            modelMatchType: selectedModel.matchType,
+            modelSelection: {
+                strategy: selectedModel.matchType,
+                reason: selectedModel.reason,
+                exactModel: selectedModel.exactModel,
+                droppedVariables: selectedModel.droppedVariables
+            },
+            modelAUC: model.auc,
+            modelNObs: model.n_obs,
+            modelCIWidth: ciResult.width,
+            youdenThreshold: model.youden_threshold,
+            youdenSensitivity: model.youden_sensitivity,
+            youdenSpecificity: model.youden_specificity
+        };
+    }
+
+    // Range of the probability over every completion of the unknown boolean answers,
+    // and ranking of those questions by how much answering each one is expected to move the score
+    // answerProbabilities: { [variableId]: P(yes) } used to weight the two answers (default 0.5 each)
+    // Unknown numeric variables stay unknown (they cannot be enumerated)
+    function whatIf(inputs, options = {}, answerProbabilities = {}) {
+        const base = score(inputs, options);
+        if (!base) {
+            return null;
+        }
+
+        const unknownBooleans = variables
+            .filter(v => v.type === 'boolean' && base.unknownVariables.includes(v.id))
+            .map(v => v.id);
+        if (unknownBooleans.length === 0) {
+            return null;
+        }
+
+        // Every completion is scored with the model for known + all unknown booleans
+        let min = null;
+        let max = null;
+        for (let mask = 0; mask < 2 ** unknownBooleans.length; mask++) {
+            const completion = {};
+            unknownBooleans.forEach((id, i) => {
+                completion[id] = Boolean(mask & (1 << i));
+            });
+            const completed = score({ ...base.inputs, ...completion }, options);
+            if (!min || completed.probability < min.probability) {
+                min = { probability: completed.probability, answers: completion, model: completed.selectedModel };
+            }
+            if (!max || completed.probability > max.probability) {
+                max = { probability: completed.probability, answers: completion, model: completed.selectedModel };
+            }
+        }
+
+        // Answering one question: expected absolute change of the probability and of the CI width
+        const questions = unknownBooleans.map(id => {
+            const pYes = answerProbabilities[id] ?? 0.5;
+            const ifYes = score({ ...base.inputs, [id]: true }, options);
+            const ifNo = score({ ...base.inputs, [id]: false }, options);
+            const expectedChange = pYes * Math.abs(ifYes.probability - base.probability) +
+                (1 - pYes) * Math.abs(ifNo.probability - base.probability);
+            const expectedWidth = pYes * ifYes.confidenceInterval.width + (1 - pYes) * ifNo.confidenceInterval.width;
+
+            return {
+                variable: id,
+                probabilityIfYes: ifYes.probability,
+                probabilityIfNo: ifNo.probability,
+                widthIfYes: ifYes.confidenceInterval.width,
+                widthIfNo: ifNo.confidenceInterval.width,
+                answerProbability: pYes,
+                expectedChange: expectedChange,
+                expectedWidthChange: expectedWidth - base.confidenceInterval.width
+            };
+        });
+        questions.sort((a, b) => b.expectedChange - a.expectedChange || a.expectedWidthChange - b.expectedWidthChange);
+
+        return {
+            probability: base.probability,
+            min: min,
+            max: max,
+            unknownBooleans: unknownBooleans,
+            unknownNumeric: base.unknownVariables.filter(id => !unknownBooleans.includes(id)),
+            questions: questions
+        };
+    }
+
+    return {
+        model: modelData,
+        variables: variables,
+        recalibration: recalibration,
+        findBestModel: (knownVariables) => findBestModel(modelData, knownVariables, modelIndex),
+        score: score,
+        whatIf: whatIf,
+        explain: (result) => explainResult(modelData, result)
+    };
+}
@@ -1,343 +1,626 @@
 // Sexual Abuse Suspicion Score V2 - Web Application
 // Uses subset-specific Firth's penalized logistic regression models for accurate probability estimation
+// The probability calculation itself lives in scorer.js; this file only handles the page
+
+import { createScorer, ScorerError, DEFAULT_THRESHOLDS } from './scorer.js';
+import { validateModel } from './model-validation.js';
+import {
+    builtinPresets, validatePreset, presetOptions, loadPresets, savePresets, parsePresetsFile,
+    SELECTED_PRESET_STORAGE_KEY
+} from './prevalence-presets.js';
+import { parseCsv, detectDelimiter, scoreRows, buildResultRows, buildTemplate, toCsv } from './batch.js';
+import { encodeState, decodeState } from './url-state.js';
+import {
+    REGISTRY_URL, MODEL_QUERY_PARAM, COMPARE_QUERY_PARAM, SINGLE_MODEL_REGISTRY, loadRegistry, findRegistryEntry,
+    compareSubsetModels
+} from './model-registry.js';
+import { runSelfTest } from './self-test.js';
+import { HistoryError, isHistorySupported, historyExists, unlockHistory, wipeHistory } from './history-store.js';
+import { buildQuestionnaire, readQuestionnaireResponse, buildRiskAssessment, validateResource } from './fhir.js';
+import {
+    EMBED_QUERY_PARAM, EMBED_ORIGINS_URL, MESSAGE_TYPES, EmbedError, parseEmbedOrigins, readEmbedOptions, isAllowedOrigin,
+    parseHostMessage, readyMessage, resultMessage, errorMessage
+} from './embed-protocol.js';
+import { RECALIBRATION_URL, overlayId, validateOverlay, parseOverlay, readStoredOverlay } from './recalibration.js';
+import {
+    LOCALES, FALLBACK_LOCALE, LANGUAGE_STORAGE_KEY, isSupportedLocale, loadCatalogs, setLocale, getLocale, setDevMode,
+    initialLocale, t, translateIn, localizedField, formatNumber, formatPercent, formatDateTime
+} from './i18n.js';
+import { escapeHtml, downloadFile } from './dom-helpers.js';
 
 let modelData = null;
-let currentLanguage = 'fr';
+let scorer = null;
+// Model versions listed in models.json, the entry loaded, and the version scored alongside it
+// ({ version, modelData, scorer }, or { version, issues } when it could not be loaded)
+let registry = SINGLE_MODEL_REGISTRY;
+let activeModelEntry = null;
+let comparison = null;
+// Prevalence presets saved by the team, and the preset in use (null when values were typed by hand)
+let userPresets = [];
+let activePreset = null;
+// Beta prevalence received through a shared link, offered as a preset while the page is open
+let linkPreset = null;
+// Result panels (<details data-panel="...">) kept open across automatic recalculations
+const openResultPanels = new Set();
+// Encrypted assessment history: the unlocked store (null while locked), its entries (oldest first)
+// and the pseudonym whose timeline is shown
+let historySession = null;
+let historyEntries = [];
+let historyPseudonym = null;
+// Subject (FHIR Reference) of the last imported QuestionnaireResponse, reused by the RiskAssessment export
+let fhirSubject = null;
+// Embedded mode (index.html?embed=1): { enabled, origins, ignoredOrigins, hideChrome } read from the URL
+let embedOptions = null;
+// Site recalibration overlay applied by the scorer (see loadSiteRecalibration), or null
+let siteRecalibration = null;
+// Model error panel on screen ({ issues, version }), redrawn when the language changes
+let modelError = null;
+
+// Download, validate and self-test a model file: { data, validation }, or { issues } when it cannot be read
+async function fetchModel(entry) {
+    let data;
+    try {
+        const response = await fetch(entry.file);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        data = await response.json();
+    } catch (error) {
+        console.error(`Error loading model ${entry.file}:`, error);
+        return { issues: [{ path: entry.file, code: 'load_failed', params: { error: error.message } }] };
+    }
+
+    const validation = validateModel(data);
+    const version = data && data.metadata ? data.metadata.version : null;
+
+    // Refuse a model the engine cannot score as R does (reference cases written by export_web_model.R)
+    if (validation.valid) {
+        const selfTest = runSelfTest(data);
+        if (selfTest.failed > 0) {
+            console.error('Engine self-test failed:', selfTest.cases.filter(result => !result.pass));
+            validation.valid = false;
+            validation.errors.push({
+                severity: 'error', path: 'reference_cases', code: 'self_test_failed',
+                params: { failed: selfTest.failed, total: selfTest.total }
+            });
+        } else if (selfTest.total === 0) {
+            // Older exports: scoring is allowed, but the page says the engine is unverified
+            validation.warnings.push({ severity: 'warning', path: 'reference_cases', code: 'self_test_unavailable', params: {} });
+        }
+    }
+
+    if (entry.version !== null && version !== undefined && version !== null && version !== entry.version) {
+        validation.warnings.push({
+            severity: 'warning', path: 'metadata.version', code: 'model_version_mismatch',
+            params: { listed: entry.version, version }
+        });
+    }
+    return { data, validation };
+}
 
-// Load model data from JSON
+// Load the model version asked for in the address (?model=<version>), else the registry default,
+// and validate it before anything is scored
 async function loadModel() {
+    const requested = new URLSearchParams(window.location.search).get(MODEL_QUERY_PARAM);
+    const entry = findRegistryEntry(registry, requested);
+    if (!entry) {
+        const available = registry.models.map(model => model.version).join(', ');
+        showModelErrorPanel([{ path: REGISTRY_URL, code: 'model_version_unknown', params: { version: requested, available } }], requested);
+        return false;
+    }
+
+    const { data, validation, issues } = await fetchModel(entry);
+    if (issues) {
+        showModelErrorPanel(issues, entry.version);
+        return false;
+    }
+
+    const version = data && data.metadata ? data.metadata.version : null;
+
+    if (!validation.valid) {
+        console.error('Model validation failed:', validation.errors);
+        showModelErrorPanel(validation.errors, version ?? entry.version);
+        return false;
+    }
+
+    if (validation.warnings.length > 0) {
+        console.warn('Model validation warnings:', validation.warnings);
+        showModelWarnings(validation.warnings);
+    }
+
+    modelData = data;
+    siteRecalibration = await loadSiteRecalibration(modelData);
+    scorer = createScorer(modelData, siteRecalibration);
+    activeModelEntry = entry;
+    showFooterModelVersion();
+    console.log('Model loaded successfully', modelData);
+    console.log(`Available models: ${Object.keys(modelData.models).length}`);
+    return true;
+}
+
+// Site recalibration overlay for a model (recalibration.html): the one kept by this browser, else the
+// recalibration.json deployed with the app. An overlay that does not fit the model is ignored.
+async function loadSiteRecalibration(data) {
+    const stored = readStoredOverlay(localStorage);
+    if (stored) {
+        try {
+            return validateOverlay(stored, data);
+        } catch (error) {
+            console.warn('Site recalibration of this browser ignored:', error.message);
+        }
+    }
     try {
-        const response = await fetch('model.json');
-        modelData = await response.json();
-        console.log('Model loaded successfully', modelData);
-        console.log(`Available models: ${Object.keys(modelData.models).length}`);
-        return true;
+        const response = await fetch(RECALIBRATION_URL);
+        if (!response.ok) {
+            return null;
+        }
+        return parseOverlay(await response.text(), data);
     } catch (error) {
-        console.error('Error loading model:', error);
-        alert('Error loading model. Please refresh the page.');
-        return false;
+        console.warn('Site recalibration ignored:', error.message);
+        return null;
     }
 }
 
-// Find exact model match for the given set of known variables
-function findBestModel(knownVariables) {
-    const knownVarSet = new Set([...knownVariables].sort());
+// Results footer and report line of a result scored with a site recalibration
+function describeRecalibration(recalibration) {
+    return t('recalibration.active', {
+        site: escapeHtml(recalibration.site ?? t('recalibration.unnamedSite')),
+        date: formatDateTime(new Date(recalibration.created)),
+        scope: t(`recalibration.fitScope.${recalibration.scope}`)
+    });
+}
+
+// Version of a loaded model: its own metadata, else the version models.json lists it under
+function modelVersionOf(data, entry) {
+    return (data && data.metadata && data.metadata.version) ?? (entry ? entry.version : null) ?? '?';
+}
 
-    // Search for exact match only
-    for (const [modelName, modelInfo] of Object.entries(modelData.models)) {
-        // modelInfo.variables is now always an array (after R export fix)
-        const modelVars = modelInfo.variables;
-        const modelVarSet = new Set([...modelVars].sort());
+// Name of a registry entry in the model pickers (language-neutral)
+function registryEntryName(entry) {
+    return entry.date ? `${entry.version} (${entry.date})` : entry.version;
+}
 
-        // Check if sets are equal
-        if (knownVarSet.size === modelVarSet.size &&
-            [...knownVarSet].every(v => modelVarSet.has(v))) {
-            console.log(`Exact match found: ${modelName}`);
-            return { name: modelName, info: modelInfo, matchType: 'exact' };
-        }
+// Self-test page for the loaded model version (the query string, with ?model=, is passed on)
+function selfTestUrl() {
+    return `self-test.html${window.location.search}`;
+}
+
+function showFooterModelVersion() {
+    const footer = document.getElementById('footer-model');
+    footer.dataset.i18n = 'footer.model';
+    footer.dataset.i18nParams = JSON.stringify({ version: modelVersionOf(modelData, activeModelEntry) });
+    footer.textContent = t('footer.model', { version: modelVersionOf(modelData, activeModelEntry) });
+    document.getElementById('self-test-link').href = selfTestUrl();
+    document.getElementById('model-explorer-link').href = `model-explorer.html${window.location.search}`;
+    document.getElementById('recalibration-link').href = `recalibration.html${window.location.search}`;
+}
+
+// Model version picker in the header, shown when models.json lists several versions.
+// Picking one reloads the page with ?model=<version>; the answers stay in the URL fragment.
+function initModelSelect() {
+    const select = document.getElementById('model-select');
+    if (registry.models.length < 2) {
+        return;
     }
 
-    // No exact match found - this should never happen if all 127 combinations exist
-    console.error('FATAL: No exact model match found for variables:', knownVariables);
-    console.error('Available models:', Object.keys(modelData.models).length);
-    throw new Error(`No exact model found for the selected variables: ${knownVariables.join(', ')}. This indicates a critical system error.`);
+    const requested = new URLSearchParams(window.location.search).get(MODEL_QUERY_PARAM);
+    select.innerHTML = registry.models.map(entry => `
+        <option value="${escapeHtml(entry.version)}">${escapeHtml(registryEntryName(entry))}</option>
+    `).join('');
+    select.value = (findRegistryEntry(registry, requested) || findRegistryEntry(registry, null)).version;
+    select.hidden = false;
+
+    select.addEventListener('change', () => {
+        const url = new URL(window.location.href);
+        if (select.value === registry.default) {
+            url.searchParams.delete(MODEL_QUERY_PARAM);
+        } else {
+            url.searchParams.set(MODEL_QUERY_PARAM, select.value);
+        }
+        // A version is not compared with itself
+        if (url.searchParams.get(COMPARE_QUERY_PARAM) === select.value) {
+            url.searchParams.delete(COMPARE_QUERY_PARAM);
+        }
+        window.location.assign(url.href);
+    });
 }
 
-// Uncertainty level definitions (frontend logic, not from backend)
-const UNCERTAINTY_LEVELS = [
-    {
-        threshold: 0.40,
-        severity: "high",
-        label_fr: "🚨 Incertitude très élevée - Estimation peu fiable",
-        label_en: "🚨 Very high uncertainty - Unreliable estimate",
-        color: "#dc2626"
-    },
-    {
-        threshold: 0.20,
-        severity: "medium",
-        label_fr: "⚠️ Incertitude élevée - Interpréter avec prudence",
-        label_en: "⚠️ High uncertainty - Interpret with caution",
-        color: "#d97706"
-    },
-    {
-        threshold: 0.10,
-        severity: "low",
-        label_fr: "Incertitude modérée - Probablement fiable",
-        label_en: "Moderate uncertainty - Probably reliable",
-        color: "#059669"
-    },
-    {
-        threshold: 0,
-        severity: "very_low",
-        label_fr: "Faible incertitude - Probablement fiable",
-        label_en: "Low uncertainty - Probably reliable",
-        color: "#059669"
-    }
-];
-
-// Check which uncertainty level applies based on CI width
-// Now uses the corrected CI width from delta method, not the old typical_ci_width
-function checkUncertaintyWarnings(knownVariables, unknownVariables, selectedModel, correctedCIWidth) {
-    const ciWidth = correctedCIWidth;
-
-    // Find the appropriate uncertainty level (sorted from highest to lowest threshold)
-    for (const level of UNCERTAINTY_LEVELS) {
-        if (ciWidth >= level.threshold) {
-            return [{
-                ...level,
-                ciWidth: ciWidth
-            }];
-        }
-    }
-
-    // Fallback to lowest uncertainty level
-    return [{
-        ...UNCERTAINTY_LEVELS[UNCERTAINTY_LEVELS.length - 1],
-        ciWidth: ciWidth
-    }];
-}
-
-// Calculate confidence interval using delta method with covariance matrix
-// This properly accounts for prevalence adjustment and coefficient correlation
-function calculateConfidenceInterval(model, formDataValues, adjustedLinearPredictor, level = 0.95) {
-    const coefficients = model.coefficients;
-    const vcov = model.coefficient_vcov;
-
-    if (!vcov) {
-        // Fallback to old method if vcov not available
-        console.warn('Covariance matrix not available, using approximate CI');
-        return {
-            lower: null,
-            upper: null,
-            width: model.typical_ci_width,
-            method: 'legacy'
-        };
+// Comparison picker: another version of the registry scored with the same answers and settings
+// (?compare=<version>, kept in the address so a copied link shows the same comparison)
+async function initComparison() {
+    const others = registry.models.filter(entry => entry !== activeModelEntry);
+    if (others.length === 0) {
+        return;
     }
 
-    // Build design vector: [1, x1, x2, ...] for [intercept, var1, var2, ...]
-    // Order must match coefficient order
-    const coefNames = Object.keys(coefficients);
-    const designVector = [];
+    const select = document.getElementById('compare-model');
+    select.innerHTML = `<option value="" data-i18n="models.noComparison">${t('models.noComparison')}</option>` +
+        others.map(entry => `<option value="${escapeHtml(entry.version)}">${escapeHtml(registryEntryName(entry))}</option>`).join('');
+    document.getElementById('compare-option').hidden = false;
 
-    for (const coefName of coefNames) {
-        if (coefName === '(Intercept)') {
-            designVector.push(1);
+    select.addEventListener('change', async () => {
+        const url = new URL(window.location.href);
+        if (select.value) {
+            url.searchParams.set(COMPARE_QUERY_PARAM, select.value);
         } else {
-            // Check if this coefficient was activated
-            // For boolean variables, coefficient names are like "antidepressantsTRUE"
-            // We need to check if the base variable was TRUE
-            let activated = 0;
-
-            // Extract variable id from coefficient name
-            // Pattern: variableIdTRUE for booleans, variableId for numeric
-            const varId = coefName.replace(/TRUE$/, '');
-
-            if (coefName.endsWith('TRUE')) {
-                // Boolean variable
-                const value = formDataValues[varId];
-                activated = (value === true || value === 'yes' || value === 1) ? 1 : 0;
-            } else if (varId !== '(Intercept)') {
-                // Numeric variable
-                const value = formDataValues[varId];
-                activated = parseFloat(value) || 0;
-            }
-
-            designVector.push(activated);
+            url.searchParams.delete(COMPARE_QUERY_PARAM);
         }
+        history.replaceState(null, '', url.href);
+        await setComparison(select.value || null);
+        autoCalculate();
+    });
+
+    const requested = new URLSearchParams(window.location.search).get(COMPARE_QUERY_PARAM);
+    if (requested && others.some(entry => entry.version === requested)) {
+        select.value = requested;
+        await setComparison(requested);
     }
+}
 
-    // Calculate variance of linear predictor: Var(X'β) = X' Vcov X
-    let variance = 0;
-    for (let i = 0; i < coefNames.length; i++) {
-        for (let j = 0; j < coefNames.length; j++) {
-            const vcov_ij = vcov[coefNames[i]][coefNames[j]];
-            variance += designVector[i] * designVector[j] * vcov_ij;
-        }
+async function setComparison(version) {
+    if (version === null) {
+        comparison = null;
+        return;
+    }
+
+    const entry = findRegistryEntry(registry, version);
+    const { data, validation, issues } = await fetchModel(entry);
+    if (issues || !validation.valid) {
+        comparison = { version, issues: issues || validation.errors };
+        return;
+    }
+    comparison = { version, modelData: data, scorer: createScorer(data) };
+}
+
+// The model error panel is always in French and English, besides the selected language. Its own texts
+// are built in, so that it stays readable when the fr or en catalog is what failed to load; an issue
+// without a catalog text shows its code in place of the English text.
+const MODEL_ERROR_LOCALES = ['fr', 'en'];
+const MODEL_ERROR_TEXTS = {
+    fr: {
+        title: "Le modèle n'a pas pu être chargé",
+        intro: "Aucun score ne sera calculé tant que model.json n'est pas corrigé. Problèmes détectés :",
+        version: 'Version du modèle'
+    },
+    en: {
+        title: 'The model could not be loaded',
+        intro: 'No score will be computed until model.json is fixed. Problems found:',
+        version: 'Model version'
     }
+};
+
+// One <span lang> per panel language, in the selected language first
+function modelErrorLines(text) {
+    const codes = [...new Set([getLocale(), ...MODEL_ERROR_LOCALES])];
+    return codes
+        .map(code => [code, text(code)])
+        .filter(([, value]) => value !== undefined)
+        .map(([code, value]) => `<span lang="${code}">${escapeHtml(value)}</span>`);
+}
 
-    const se = Math.sqrt(variance);
+function modelErrorText(key) {
+    return code => translateIn(code, `modelError.${key}`) ?? MODEL_ERROR_TEXTS[code]?.[key];
+}
 
-    // Critical value for confidence level
-    const z = 1.96; // For 95% CI
+function issueText(issue) {
+    const params = issue.params ?? {};
+    const untranslated = Object.keys(params).length > 0 ? `${issue.code} ${JSON.stringify(params)}` : issue.code;
+    return code => translateIn(code, `validation.${issue.code}`, params) ??
+        (code === FALLBACK_LOCALE ? untranslated : undefined);
+}
 
-    // CI on logit scale (SE doesn't change with prevalence offset)
-    const logitLower = adjustedLinearPredictor - z * se;
-    const logitUpper = adjustedLinearPredictor + z * se;
+// Replace the form with a panel listing what is wrong with model.json
+function showModelErrorPanel(issues, version) {
+    modelError = { issues, version };
+    ['assessment-form', 'results', 'batch-section'].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            element.style.display = 'none';
+        }
+    });
 
-    // Transform to probability scale using inverse logit
-    const invLogit = (x) => 1 / (1 + Math.exp(-x));
-    const probLower = invLogit(logitLower);
-    const probUpper = invLogit(logitUpper);
+    const listItems = issues.map(issue => `
+        <li>
+            <code>${escapeHtml(issue.path)}</code><br>
+            ${modelErrorLines(issueText(issue)).join('<br>')}
+        </li>
+    `).join('');
+
+    const panel = document.getElementById('model-error');
+    panel.innerHTML = `
+        <h2>${modelErrorLines(modelErrorText('title')).join(' / ')}</h2>
+        <p>${modelErrorLines(modelErrorText('intro')).join('<br>')}</p>
+        <ul>${listItems}</ul>
+        <p>
+            <strong>${modelErrorLines(modelErrorText('version')).join(' / ')}</strong>:
+            <code>${escapeHtml(version ?? '?')}</code>
+        </p>
+        <p><a href="${selfTestUrl()}" ${i18nAttributes('selfTest.link')}>${t('selfTest.link')}</a></p>
+    `;
+    panel.style.display = 'block';
+}
 
-    return {
-        lower: probLower,
-        upper: probUpper,
-        width: probUpper - probLower,
-        se: se,
-        method: 'delta'
-    };
+// Translated text of a model.json validation issue (catalog key validation.<code>)
+function validationMessage(issue) {
+    const key = `validation.${issue.code}`;
+    return `<span ${i18nAttributes(key, issue.params)}>${escapeHtml(t(key, issue.params))}</span>`;
+}
+
+// List non-blocking model issues (e.g. non-converged subset models) above the form
+function showModelWarnings(warnings) {
+    const box = document.getElementById('model-warnings');
+    box.innerHTML = `
+        <strong ${i18nAttributes('modelError.warnings')}>${t('modelError.warnings')}</strong>
+        <ul>
+            ${warnings.map(warning => `
+                <li>
+                    <code>${escapeHtml(warning.path)}</code> :
+                    ${validationMessage(warning)}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+    box.style.display = 'block';
 }
 
-// Calculate probability using the appropriate subset model
+// Calculate probability for the current form using the scoring engine
+// Reads the target prevalence from the form; engine errors are shown in the results panel
 function calculateProbability(formData) {
-    if (!modelData) {
+    if (!scorer) {
         console.error('Model not loaded');
         return null;
     }
 
-    // Identify known variables
-    const knownVariables = [];
-    const unknownVariables = [];
-    const formDataValues = {};
+    return scorer.score(formData, getScoreOptions());
+}
 
-    modelData.variables.forEach(variable => {
-        const value = formData[variable.id];
+// Scoring options chosen in the form
+function getScoreOptions() {
+    return {
+        targetPrevalence: getTargetPrevalence(),
+        ciLevel: getConfidenceLevel(),
+        prevalenceUncertainty: getPrevalenceUncertainty(),
+        thresholds: getThresholds()
+    };
+}
 
-        if (value === null || value === undefined || value === '') {
-            unknownVariables.push(variable);
-        } else {
-            knownVariables.push(variable.id);
-            formDataValues[variable.id] = value;
-        }
-    });
+// Decision cut-offs chosen in the form; invalid cut-offs are reported and the defaults are used
+function getThresholds() {
+    const mode = document.getElementById('threshold_mode').value;
+    const moderate = parseFloat(document.getElementById('threshold_moderate').value) / 100;
+    const high = parseFloat(document.getElementById('threshold_high').value) / 100;
+    const error = document.getElementById('threshold-error');
+    const inRange = (value) => value > 0 && value < 1;
 
-    console.log('Known variables:', knownVariables);
-    console.log('Unknown variables:', unknownVariables.map(v => v.id));
+    const valid = inRange(high) && (mode === 'youden' || (inRange(moderate) && moderate <= high));
+    error.textContent = valid ? '' : t('thresholds.invalid');
+    error.style.display = valid ? 'none' : 'block';
 
-    // If no variables are known, don't calculate anything
-    if (knownVariables.length === 0) {
-        console.log('No variables known - skipping calculation');
-        return null;
+    if (!valid) {
+        return DEFAULT_THRESHOLDS;
     }
+    return mode === 'youden' ? { mode: 'youden', high } : { mode: 'fixed', moderate, high };
+}
 
-    // Find exact model match for this variable set
-    let selectedModel;
-    try {
-        selectedModel = findBestModel(knownVariables);
-    } catch (error) {
-        console.error('Model selection failed:', error);
-        alert(`ERROR: ${error.message}\n\nPlease report this issue.`);
+// Uncertainty on the target prevalence: the Beta distribution of the active preset,
+// else the plausible range typed in the form (both bounds required)
+function getPrevalenceUncertainty() {
+    if (activePreset && activePreset.alpha !== undefined) {
+        return { alpha: activePreset.alpha, beta: activePreset.beta };
+    }
+    const lower = document.getElementById('prevalence_lower');
+    const upper = document.getElementById('prevalence_upper');
+    if (!lower || !upper || lower.value === '' || upper.value === '') {
         return null;
     }
+    return { lower: parseFloat(lower.value) / 100, upper: parseFloat(upper.value) / 100 };
+}
 
-    const model = selectedModel.info;
-    const coefficients = model.coefficients;
-
-    // Calculate linear predictor using selected model
-    let linearPredictor = coefficients['(Intercept)'];
+// Get the selected confidence level (e.g. 0.95)
+function getConfidenceLevel() {
+    const levelSelect = document.getElementById('ci_level');
+    return levelSelect ? parseFloat(levelSelect.value) : 0.95;
+}
 
-    // model.variables is now always an array
-    const modelVariables = model.variables;
+// Get target prevalence from form (convert from percentage to proportion)
+function getTargetPrevalence() {
+    const targetPrevalenceInput = document.getElementById('target_prevalence');
+    return targetPrevalenceInput ? parseFloat(targetPrevalenceInput.value) / 100 : 0.25;
+}
 
-    modelVariables.forEach(varId => {
-        const value = formDataValues[varId];
+// Format probability as a locale-aware percentage (e.g. "12.5%", "12,5 %")
+function formatProbability(probability) {
+    return formatPercent(probability);
+}
 
-        if (value === null || value === undefined) {
-            return; // Skip if not available (shouldn't happen with proper model selection)
-        }
+// Confidence interval: the real (asymmetric) bounds from the delta method; ± half width only for legacy models without vcov
+function formatInterval(ci) {
+    return ci.lower !== null
+        ? `${formatProbability(ci.lower)}–${formatProbability(ci.upper)}`
+        : `±${formatProbability(ci.width / 2)}`;
+}
 
-        // Find variable definition
-        const varDef = modelData.variables.find(v => v.id === varId);
+// Attributes of a message that translatePage() translates again when the language changes
+function i18nAttributes(key, params = {}) {
+    return `data-i18n="${key}" data-i18n-params="${escapeHtml(JSON.stringify(params))}"`;
+}
 
-        if (varDef.type === 'boolean') {
-            if (value === true || value === 'yes' || value === 1) {
-                const coeffName = varId + 'TRUE';
-                if (coefficients[coeffName] !== undefined) {
-                    linearPredictor += coefficients[coeffName];
-                }
-            }
-        } else if (varDef.type === 'numeric') {
-            const numValue = parseFloat(value);
-            if (!isNaN(numValue) && coefficients[varId] !== undefined) {
-                linearPredictor += coefficients[varId] * numValue;
-            }
-        }
-    });
+// Variables in display order: model order, or by importance (1 = most important) when requested
+function orderedVariables() {
+    const variables = [...modelData.variables];
+    const byImportance = document.getElementById('order-by-importance');
+    if (byImportance && byImportance.checked) {
+        variables.sort((a, b) => (a.importance ?? Infinity) - (b.importance ?? Infinity));
+    }
+    return variables;
+}
 
-    // Get target prevalence from form (convert from percentage to proportion)
-    const targetPrevalenceInput = document.getElementById('target_prevalence');
-    const targetPrevalence = targetPrevalenceInput ? parseFloat(targetPrevalenceInput.value) / 100 : 0.25;
+// Keys that answer the focused question (see handleAnswerShortcut)
+const ANSWER_SHORTCUTS = { 1: 'yes', 2: 'no', 3: 'unknown' };
+
+// Render one Yes / No / Don't know group for a boolean variable, as a labelled radio group
+function renderBooleanField(variable) {
+    const option = (value, checked) => {
+        const key = Object.keys(ANSWER_SHORTCUTS).find(shortcut => ANSWER_SHORTCUTS[shortcut] === value);
+        return `
+        <div class="radio-option">
+            <input type="radio" id="${variable.id}_${value}" name="${variable.id}" value="${value}" aria-keyshortcuts="${key}"${checked ? ' checked' : ''}>
+            <label for="${variable.id}_${value}">${t(`form.${value}`)}</label>
+        </div>`;
+    };
 
-    // Get sample prevalence from model metadata
-    const samplePrevalence = modelData.prevalence_info.sample_prevalence;
+    return `
+        <fieldset class="form-group" role="radiogroup" aria-labelledby="${variable.id}_legend" aria-describedby="${variable.id}_description">
+            <legend id="${variable.id}_legend">${escapeHtml(localizedField(variable, 'label') || variable.id)}</legend>
+            <div class="description" id="${variable.id}_description">${escapeHtml(localizedField(variable, 'description'))}</div>
+            <div class="radio-group">
+                ${option('yes', false)}
+                ${option('no', false)}
+                ${option('unknown', true)}
+            </div>
+        </fieldset>`;
+}
 
-    // Apply prevalence adjustment to linear predictor
-    // Formula: adjusted_logit = original_logit - log(p_sample/(1-p_sample)) + log(p_target/(1-p_target))
-    const sampleLogOdds = Math.log(samplePrevalence / (1 - samplePrevalence));
-    const targetLogOdds = Math.log(targetPrevalence / (1 - targetPrevalence));
-    const adjustedLinearPredictor = linearPredictor - sampleLogOdds + targetLogOdds;
+// Keyboard answers: 1 / 2 / 3 pick Yes / No / Don't know in the focused question, then focus
+// moves to the next question, so a full assessment can be done without a mouse
+function handleAnswerShortcut(event) {
+    const value = ANSWER_SHORTCUTS[event.key];
+    if (!value || event.target.type !== 'radio' || event.ctrlKey || event.altKey || event.metaKey) {
+        return;
+    }
+    event.preventDefault();
 
-    // Apply logistic function to adjusted predictor
-    const probability = 1 / (1 + Math.exp(-adjustedLinearPredictor));
+    const group = event.target.closest('.form-group');
+    const radio = group.querySelector(`input[value="${value}"]`);
+    if (!radio.checked) {
+        radio.checked = true;
+        radio.dispatchEvent(new Event('change', { bubbles: true }));
+    }
 
-    // Calculate confidence interval using delta method
-    const ciResult = calculateConfidenceInterval(model, formDataValues, adjustedLinearPredictor);
+    const groups = [...document.querySelectorAll('#variables-container .form-group')];
+    const next = groups[groups.indexOf(group) + 1];
+    const target = next && (next.querySelector('input:checked') || next.querySelector('input'));
+    (target || radio).focus();
+}
 
-    // Check for uncertainty warnings (now using corrected CI width)
-    const warnings = checkUncertaintyWarnings(knownVariables, unknownVariables, selectedModel, ciResult.width);
+// Number in a training range: whole numbers without decimals (e.g. "0–48", median "3.5")
+const formatRangeValue = (value) => formatNumber(value, Number.isInteger(value) ? 0 : 1);
 
-    return {
-        probability: probability,
-        confidenceInterval: {
-            lower: ciResult.lower,
-            upper: ciResult.upper,
-            width: ciResult.width,
-            method: ciResult.method
-        },
-        linearPredictor: linearPredictor,
-        adjustedLinearPredictor: adjustedLinearPredictor,
-        samplePrevalence: samplePrevalence,
-        targetPrevalence: targetPrevalence,
-        knownVariables: knownVariables.length,
-        unknownVariables: unknownVariables,
-        totalVariables: modelData.variables.length,
-        selectedModel: selectedModel.name,
-        modelMatchType: selectedModel.matchType,
-        modelAUC: model.auc,
-        modelNObs: model.n_obs,
-        modelCIWidth: ciResult.width,  // Use corrected CI width
-        youdenThreshold: model.youden_threshold,
-        youdenSensitivity: model.youden_sensitivity,
-        youdenSpecificity: model.youden_specificity,
-        uncertaintyWarnings: warnings
-    };
+// Note shown under a numeric field whose answer lies outside the values seen in training
+function trainingRangeNote(variable, unit) {
+    const range = variable.training_range;
+    if (!range) {
+        return '';
+    }
+    const median = range.quantiles && range.quantiles.p50 !== undefined ? range.quantiles.p50 : null;
+    return `
+        <div class="field-note" id="${variable.id}_range">
+            ${severityText(EXTRAPOLATION_STYLE.icon, EXTRAPOLATION_STYLE.color, t('extrapolation.label'))}:
+            ${t(median === null ? 'extrapolation.fieldNote' : 'extrapolation.fieldNoteMedian', {
+                min: formatRangeValue(range.min),
+                max: formatRangeValue(range.max),
+                median: median === null ? '' : formatRangeValue(median),
+                unit: escapeHtml(unit)
+            })}
+        </div>`;
 }
 
-// Get interpretation based on probability
-function getInterpretation(probability) {
-    // Use fixed percentage thresholds for interpretation
-    // Low: < 30%, Moderate: 30-70%, High: >= 70%
+// Render a number input for a numeric variable, with its unit and valid range
+function renderNumericField(variable) {
+    const range = variable.min !== undefined && variable.max !== undefined ? ` (${variable.min}–${variable.max})` : '';
+    const unit = localizedField(variable, 'unit');
+    const describedBy = variable.training_range ? `${variable.id}_error ${variable.id}_range` : `${variable.id}_error`;
+
+    return `
+        <div class="form-group">
+            <label for="${variable.id}">${escapeHtml(localizedField(variable, 'label') || variable.id)}</label>
+            <div class="description">
+                ${escapeHtml(localizedField(variable, 'description'))} ${t('form.leaveBlank')}
+            </div>
+            <div class="numeric-field">
+                <input type="number"
+                       id="${variable.id}"
+                       name="${variable.id}"
+                       class="numeric-input"
+                       ${variable.min !== undefined ? `min="${variable.min}"` : ''}
+                       ${variable.max !== undefined ? `max="${variable.max}"` : ''}
+                       step="${variable.step ?? 'any'}"
+                       placeholder="${variable.min ?? ''}"
+                       aria-describedby="${describedBy}">
+                ${unit ? `<span style="color: #6b7280; font-weight: 500;">${escapeHtml(unit)}</span>` : ''}
+            </div>
+            <div class="field-error" id="${variable.id}_error">
+                ${t('form.invalidValue', { range })}
+            </div>
+            ${trainingRangeNote(variable, unit)}
+        </div>`;
+}
 
-    if (probability < 0.30) {
-        return {
-            level: "low",
-            label_fr: "Suspicion faible",
-            label_en: "Low suspicion",
-            recommendation_fr: "Continuer le suivi habituel. Rester attentif aux signaux.",
-            recommendation_en: "Continue routine follow-up. Stay alert to signals."
-        };
-    } else if (probability < 0.70) {
-        return {
-            level: "moderate",
-            label_fr: "Suspicion modérée",
-            label_en: "Moderate suspicion",
-            recommendation_fr: "Explorer davantage lors des consultations suivantes. Créer un espace de parole sécurisant.",
-            recommendation_en: "Explore further in subsequent consultations. Create a safe space for discussion."
-        };
-    } else {
-        return {
-            level: "high",
-            label_fr: "Suspicion élevée",
-            label_en: "High suspicion",
-            recommendation_fr: "Une exploration clinique approfondie est fortement recommandée. Considérer une orientation vers un spécialiste.",
-            recommendation_en: "In-depth clinical exploration is strongly recommended. Consider referral to a specialist."
-        };
+// Generate the assessment form from modelData.variables, keeping the current answers
+function renderForm() {
+    const container = document.getElementById('variables-container');
+    const previous = container.children.length > 0 ? collectFormData() : null;
+    // Raw numeric text is kept too, so an invalid entry is not silently erased
+    const previousNumeric = [...container.querySelectorAll('input[type="number"]')].map(input => [input.id, input.value]);
+
+    container.innerHTML = orderedVariables().map(variable => (
+        variable.type === 'numeric' ? renderNumericField(variable) : renderBooleanField(variable)
+    )).join('');
+
+    if (previous) {
+        setFormData(previous);
+        previousNumeric.forEach(([id, value]) => {
+            document.getElementById(id).value = value;
+        });
+        collectFormData();
     }
+    console.log(`Form rendered with ${modelData.variables.length} variables`);
 }
 
-// Format probability as percentage
-function formatProbability(probability) {
-    return (probability * 100).toFixed(1);
+// Set the form answers from a { variableId: value } object (null = unknown)
+function setFormData(formData) {
+    modelData.variables.forEach(variable => {
+        const value = formData[variable.id];
+
+        if (variable.type === 'boolean') {
+            const choice = value === true ? 'yes' : value === false ? 'no' : 'unknown';
+            const radio = document.getElementById(`${variable.id}_${choice}`);
+            if (radio) {
+                radio.checked = true;
+            }
+        } else if (variable.type === 'numeric') {
+            const input = document.getElementById(variable.id);
+            if (input) {
+                input.value = value === null || value === undefined ? '' : value;
+                readNumericInput(variable, input);
+            }
+        }
+    });
+}
+
+// Read and validate a numeric input against the variable's range
+// Invalid values are flagged next to the field and treated as unknown; valid values outside
+// the training range are kept but flagged as an extrapolation
+function readNumericInput(variable, input) {
+    const error = document.getElementById(`${variable.id}_error`);
+    const text = input.value;
+    const value = parseFloat(text);
+    const invalid = text !== '' && (!Number.isFinite(value) ||
+        (variable.min !== undefined && value < variable.min) ||
+        (variable.max !== undefined && value > variable.max));
+
+    input.setAttribute('aria-invalid', invalid ? 'true' : 'false');
+    if (error) {
+        error.style.display = invalid || input.validity.badInput ? 'block' : 'none';
+    }
+    const note = document.getElementById(`${variable.id}_range`);
+    if (note) {
+        const range = variable.training_range;
+        const outside = text !== '' && !invalid && (value < range.min || value > range.max);
+        note.style.display = outside ? 'block' : 'none';
+    }
+
+    return text === '' || invalid ? null : value;
 }
 
 // Collect form data
@@ -361,217 +644,2108 @@ function collectFormData() {
             }
         } else if (variable.type === 'numeric') {
             const input = document.getElementById(variable.id);
-            const value = input.value;
-            if (value !== '') {
-                formData[variable.id] = parseFloat(value);
-            } else {
-                formData[variable.id] = null;
-            }
+            formData[variable.id] = input ? readNumericInput(variable, input) : null;
         }
     });
 
     return formData;
 }
 
+// Translate the static page and every message that carries a data-i18n key
+function translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        const params = element.dataset.i18nParams ? JSON.parse(element.dataset.i18nParams) : {};
+        element.textContent = t(element.dataset.i18n, params);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+        element.setAttribute('aria-label', t(element.dataset.i18nAriaLabel));
+    });
+}
+
 // Update UI language
 function updateLanguage(lang) {
-    currentLanguage = lang;
-
-    document.querySelectorAll('[data-text-fr]').forEach(element => {
-        if (lang === 'fr' && element.dataset.textFr) {
-            element.textContent = element.dataset.textFr;
-        } else if (lang === 'en' && element.dataset.textEn) {
-            element.textContent = element.dataset.textEn;
-        }
-    });
+    setLocale(lang);
+    document.documentElement.lang = getLocale();
+    translatePage();
+
+    // The form and the preset names are generated from model.json and the catalogs
+    if (modelData) {
+        renderForm();
+        renderPresetOptions();
+    }
+    if (modelError) {
+        showModelErrorPanel(modelError.issues, modelError.version);
+    }
+    if (historySession) {
+        renderHistory();
+    }
 
     // Update dropdown selection
     const languageSelect = document.getElementById('language-select');
     if (languageSelect) {
-        languageSelect.value = lang;
+        languageSelect.value = getLocale();
     }
 }
 
-// Display results
-function displayResults(result) {
-    const resultsDiv = document.getElementById('results');
-    const interpretation = getInterpretation(result.probability);
+// Fill the language dropdown from LOCALES; the choice is remembered for the next visit
+function initLanguageSelect() {
+    const languageSelect = document.getElementById('language-select');
+    languageSelect.innerHTML = LOCALES.map(locale =>
+        `<option value="${locale.code}">${locale.flag} ${escapeHtml(locale.name)}</option>`
+    ).join('');
+
+    languageSelect.addEventListener('change', () => {
+        updateLanguage(languageSelect.value);
+        localStorage.setItem(LANGUAGE_STORAGE_KEY, getLocale());
+        if (!modelData) {
+            return;
+        }
+        // Re-display results with new language if they exist
+        if (document.getElementById('results').style.display === 'block') {
+            autoCalculate();
+        } else {
+            updateUrlState();
+        }
+    });
+}
 
-    const probabilityPercent = formatProbability(result.probability);
+// Score the same answers with the comparison version: { version, result } (result null when no
+// answer is known to that version), { version, error } for an engine error, or the load issues
+function compareResult(formData) {
+    if (!comparison || !comparison.scorer) {
+        return comparison;
+    }
+    try {
+        return { version: comparison.version, modelData: comparison.modelData, result: comparison.scorer.score(formData, getScoreOptions()) };
+    } catch (error) {
+        console.error('Error in comparison scoring:', error);
+        return { version: comparison.version, error };
+    }
+}
 
-    // Calculate uncertainty (margin of error) as ± half the CI width
-    const marginOfError = (result.modelCIWidth / 2 * 100).toFixed(1);
+// Display results (compared: see compareResult, null when no comparison is requested)
+function displayResults(result, compared = null) {
+    const resultsDiv = document.getElementById('results');
+    const interpretation = result.interpretation;
 
-    const label = currentLanguage === 'fr' ? interpretation.label_fr : interpretation.label_en;
+    const probabilityPercent = formatProbability(result.probability);
+    const ci = result.confidenceInterval;
+    const intervalText = formatInterval(ci);
 
-    let levelColor = '#2563eb';
-    if (interpretation.level === 'moderate') {
-        levelColor = '#d97706';
-    } else if (interpretation.level === 'high') {
-        levelColor = '#dc2626';
-    }
+    const label = t(`interpretation.${interpretation.level}.label`);
+    const levelStyle = LEVEL_STYLES[interpretation.level];
+    const levelColor = levelStyle.color;
 
     // Determine reliability message based on uncertainty warnings
     let reliabilityLabel = '';
-    let reliabilityColor = '#374151'; // Default dark gray
+    let reliabilityHTML = '';
 
     if (result.uncertaintyWarnings && result.uncertaintyWarnings.length > 0) {
         const warning = result.uncertaintyWarnings[0]; // Use first/most severe warning
-        reliabilityLabel = currentLanguage === 'fr' ? warning.label_fr : warning.label_en;
-        reliabilityColor = warning.color;
+        reliabilityLabel = t(`uncertainty.${warning.severity}`);
+        reliabilityHTML = severityText(warning.icon, warning.color, reliabilityLabel);
     }
 
+    const extrapolated = result.extrapolationWarnings.length > 0;
+    const separator = '<span style="color: #6b7280; margin: 0 10px;" aria-hidden="true">•</span>';
+
     const resultsHTML = `
         <div class="results-content">
             <div class="probability-display" style="border-color: ${levelColor};">
                 <div class="probability-value" style="color: ${levelColor};">
-                    ${probabilityPercent}% <span style="font-size: 0.5em; color: #6b7280;">± ${marginOfError}%</span>
-                </div>
-                <div class="probability-label" data-text-fr="Probabilité d'abus sexuel" data-text-en="Probability of sexual abuse">
-                    ${currentLanguage === 'fr' ? 'Probabilité d\'abus sexuel' : 'Probability of sexual abuse'}
+                    ${probabilityPercent} <span style="font-size: 0.5em; color: #6b7280;">[${intervalText}]</span>
                 </div>
+                <div class="probability-label">${t('result.probability')}</div>
             </div>
 
             <div style="text-align: center; font-size: 1.05em; margin: 20px 0; line-height: 1.6;">
-                <span style="color: ${levelColor}; font-weight: 600;">${label}</span>${reliabilityLabel ? `<span style="color: #6b7280; margin: 0 10px;">•</span><span style="color: ${reliabilityColor}; font-weight: 600;">${reliabilityLabel}</span>` : ''}
+                ${severityText(levelStyle.icon, levelColor, label)}${reliabilityHTML ? `${separator}${reliabilityHTML}` : ''}${extrapolated ? `${separator}${severityText(EXTRAPOLATION_STYLE.icon, EXTRAPOLATION_STYLE.color, t('extrapolation.label'))}` : ''}
+            </div>
+
+            ${renderModelSelection(result)}
+
+            ${renderExtrapolation(result)}
+
+            <div style="margin-top: 25px; font-size: 0.85em; color: #6b7280; text-align: center;">
+                ${t('result.method')} • ${t('result.model')} <span style="font-family: monospace;">${result.selectedModel}</span> • AUC: ${formatNumber(result.modelAUC, 3)} • ${t('result.ci', { level: formatPercent(ci.level, 0) })}: ${intervalText} • n=${result.modelNObs}
+                <br>${describePrevalence(result)}
+                ${result.recalibration ? `<br><strong>${describeRecalibration(result.recalibration)}</strong>` : ''}
             </div>
 
-            <div style="margin-top: 25px; font-size: 0.85em; color: #9ca3af; text-align: center;">
-                ${currentLanguage === 'fr' ? 'Régression de Firth' : 'Firth regression'} • ${currentLanguage === 'fr' ? 'Modèle' : 'Model'} <span style="font-family: monospace;">${result.selectedModel}</span> • AUC: ${result.modelAUC.toFixed(3)} • ${currentLanguage === 'fr' ? 'IC 95%' : '95% CI'}: ±${(result.modelCIWidth * 50).toFixed(1)}% • n=${result.modelNObs}
+            ${renderComparison(result, compared)}
+
+            ${renderOperatingPoints(result)}
+
+            ${renderWhatIf(result)}
+
+            ${renderExplanation(result)}
+
+            <div class="report-action">
+                <button type="button" id="generate-report">${t('result.generateReport')}</button>
             </div>
         </div>
     `;
 
     resultsDiv.innerHTML = resultsHTML;
+    document.getElementById('generate-report').addEventListener('click', () => openReport(result));
+    resultsDiv.querySelectorAll('details[data-panel]').forEach(panel => {
+        panel.addEventListener('toggle', () => {
+            if (panel.open) {
+                openResultPanels.add(panel.dataset.panel);
+            } else {
+                openResultPanels.delete(panel.dataset.panel);
+            }
+        });
+    });
     resultsDiv.style.display = 'block';
-}
 
-// Handle form submission
-function handleSubmit(event) {
-    event.preventDefault();
+    announceResult(t('a11y.summary', {
+        label: t('result.probability'),
+        probability: probabilityPercent,
+        ci: t('result.ci', { level: formatPercent(ci.level, 0) }),
+        interval: intervalText,
+        level: label,
+        reliability: extrapolated ? `${reliabilityLabel}. ${t('extrapolation.label')}` : reliabilityLabel
+    }));
+}
 
-    const formData = collectFormData();
-    console.log('Form data:', formData);
+// Both versions side by side, then the coefficients, AUC and sample size of the subset model in use
+function renderComparison(result, compared) {
+    if (!compared) {
+        return '';
+    }
 
-    const result = calculateProbability(formData);
-    console.log('Calculation result:', result);
+    const activeVersion = modelVersionOf(modelData, activeModelEntry);
+    const row = (version, scored) => {
+        const interpretation = scored.interpretation;
+        const style = LEVEL_STYLES[interpretation.level];
+        return `
+            <tr>
+                <td>${escapeHtml(version)}</td>
+                <td class="numeric-cell">${formatProbability(scored.probability)}</td>
+                <td class="numeric-cell">${formatInterval(scored.confidenceInterval)}</td>
+                <td>${severityText(style.icon, style.color, t(`interpretation.${interpretation.level}.label`))}</td>
+                <td><code>${escapeHtml(scored.selectedModel)}</code></td>
+                <td class="numeric-cell">${formatNumber(scored.modelAUC, 3)}</td>
+            </tr>`;
+    };
 
-    if (result) {
-        displayResults(result);
+    let comparedRow;
+    if (compared.issues) {
+        comparedRow = `<tr><td>${escapeHtml(compared.version)}</td><td colspan="5">${t('models.loadFailed')}
+            ${compared.issues.map(issue => escapeHtml(t(`validation.${issue.code}`, issue.params))).join('<br>')}</td></tr>`;
+    } else if (compared.error) {
+        comparedRow = `<tr><td>${escapeHtml(compared.version)}</td><td colspan="5">${t('errors.calculation')}:
+            ${compared.error instanceof ScorerError ? escapeHtml(compared.error.message) : t('errors.unexpected')}</td></tr>`;
+    } else if (!compared.result) {
+        comparedRow = `<tr><td>${escapeHtml(compared.version)}</td><td colspan="5">${t('models.noResult')}</td></tr>`;
     } else {
-        alert('Error calculating probability. Please try again.');
+        comparedRow = row(compared.version, compared.result);
     }
+
+    return `
+        <div class="model-comparison">
+            <h3>${t('models.title')}</h3>
+            <table class="explanation-table">
+                <thead>
+                    <tr>
+                        <th>${t('models.version')}</th>
+                        <th>${t('result.probability')}</th>
+                        <th>${t('result.ci', { level: formatPercent(result.confidenceInterval.level, 0) })}</th>
+                        <th>${t('models.level')}</th>
+                        <th>${t('report.subsetModel')}</th>
+                        <th>AUC</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${row(activeVersion, result)}
+                    ${comparedRow}
+                </tbody>
+            </table>
+            ${compared.modelData ? renderModelDiff(result, activeVersion, compared) : ''}
+        </div>`;
 }
 
-// Auto-calculate on input change
-function autoCalculate() {
-    try {
-        const formData = collectFormData();
-        console.log('Auto-calculating with form data:', formData);
+// Coefficient differences (logit scale) for the variable subset of the active result
+function renderModelDiff(result, activeVersion, compared) {
+    const variableIds = modelData.models[result.selectedModel].variables;
+    const diff = compareSubsetModels(modelData, compared.modelData, variableIds);
+    const signed = (value) => (value >= 0 ? '+' : '−') + formatNumber(Math.abs(value), 3);
+    const plain = (value) => value === null ? '–' : formatNumber(value, 3);
+    const termLabel = (name) => {
+        if (name === '(Intercept)') {
+            return t('explanation.intercept');
+        }
+        const variable = modelData.variables.find(v => v.id === name || `${v.id}TRUE` === name);
+        return escapeHtml(variable ? localizedField(variable, 'label') || variable.id : name);
+    };
 
-        const result = calculateProbability(formData);
-        console.log('Calculation result:', result);
+    const rows = diff.b === null
+        ? `<tr><td colspan="4">${t('models.subsetMissing', { version: escapeHtml(compared.version) })}</td></tr>`
+        : [
+            ...diff.coefficients.map(coefficient => `
+                <tr>
+                    <td>${termLabel(coefficient.name)}</td>
+                    <td class="numeric-cell">${plain(coefficient.a)}</td>
+                    <td class="numeric-cell">${plain(coefficient.b)}</td>
+                    <td class="numeric-cell">${coefficient.difference === null ? '–' : signed(coefficient.difference)}</td>
+                </tr>`),
+            `<tr>
+                <td>AUC</td>
+                <td class="numeric-cell">${formatNumber(diff.a.auc, 3)}</td>
+                <td class="numeric-cell">${formatNumber(diff.b.auc, 3)}</td>
+                <td class="numeric-cell">${signed(diff.b.auc - diff.a.auc)}</td>
+            </tr>`,
+            `<tr>
+                <td>n</td>
+                <td class="numeric-cell">${diff.a.nObs}</td>
+                <td class="numeric-cell">${diff.b.nObs}</td>
+                <td class="numeric-cell">${diff.b.nObs - diff.a.nObs >= 0 ? '+' : '−'}${Math.abs(diff.b.nObs - diff.a.nObs)}</td>
+            </tr>`
+        ].join('');
+
+    return `
+        <details class="technical-details" data-panel="model-diff"${openResultPanels.has('model-diff') ? ' open' : ''}>
+            <summary>${t('models.diffTitle')}</summary>
+            <p class="explanation-note">${t('models.diffHelp', { subset: `<code>${escapeHtml(result.selectedModel)}</code>` })}</p>
+            <table class="explanation-table">
+                <thead>
+                    <tr>
+                        <th>${t('explanation.term')}</th>
+                        <th class="numeric-cell">${escapeHtml(activeVersion)}</th>
+                        <th class="numeric-cell">${escapeHtml(compared.version)}</th>
+                        <th class="numeric-cell">${t('models.difference')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </details>`;
+}
 
-        if (result) {
-            displayResults(result);
-        } else {
-            // Hide results if no calculation was performed
-            const resultsDiv = document.getElementById('results');
-            resultsDiv.style.display = 'none';
-            console.log('No result - results hidden');
+// Suspicion levels: colour (WCAG AA on white) plus an icon whose fill grows with the level,
+// so the level is not conveyed by colour alone
+const LEVEL_STYLES = {
+    low: { color: '#2563eb', icon: '○' },
+    moderate: { color: '#b45309', icon: '◐' },
+    high: { color: '#dc2626', icon: '●' }
+};
+
+// Answers outside the training data are marked with their own label, apart from the uncertainty level:
+// the interval does not widen when the model extrapolates
+const EXTRAPOLATION_STYLE = { color: '#6d28d9', icon: '↯' };
+
+// Label of a variable in the current language
+function variableLabel(varId) {
+    const variable = modelData.variables.find(v => v.id === varId);
+    return (variable && localizedField(variable, 'label')) || varId;
+}
+
+// Explanation of each extrapolation warning of a result (see checkExtrapolation in scorer.js)
+function extrapolationMessages(result) {
+    return result.extrapolationWarnings.map(warning => {
+        if (warning.code === 'out_of_range') {
+            const unit = localizedField(modelData.variables.find(v => v.id === warning.variable), 'unit');
+            return t('extrapolation.outOfRange', {
+                label: escapeHtml(variableLabel(warning.variable)),
+                value: formatRangeValue(warning.value),
+                min: formatRangeValue(warning.min),
+                max: formatRangeValue(warning.max),
+                unit: escapeHtml(unit)
+            });
         }
-    } catch (error) {
-        console.error('Error in auto-calculation:', error);
+        return t(`extrapolation.${warning.code === 'unseen_combination' ? 'unseen' : 'rare'}`, {
+            questions: escapeHtml(warning.variables.map(variableLabel).join(', ')),
+            count: warning.count,
+            nObs: warning.nObs,
+            model: `<span style="font-family: monospace;">${escapeHtml(result.selectedModel)}</span>`
+        });
+    });
+}
+
+function renderExtrapolation(result) {
+    const messages = extrapolationMessages(result);
+    if (messages.length === 0) {
+        return '';
     }
+    return `
+        <div class="extrapolation-note">
+            <ul>${messages.map(message => `<li>${message}</li>`).join('')}</ul>
+            <p>${t('extrapolation.note')}</p>
+        </div>`;
 }
 
-// Debounce function for numeric inputs
-function debounce(func, wait) {
-    let timeout;
-    return function(...args) {
-        clearTimeout(timeout);
-        timeout = setTimeout(() => func.apply(this, args), wait);
-    };
+// Why the subset model in use is not the one fitted on exactly the known answers (see findBestModel
+// in scorer.js), and which answers it leaves out
+function modelSelectionText(result) {
+    const selection = result.modelSelection;
+    const exactInfo = selection.exactModel ? modelData.models[selection.exactModel] : null;
+
+    return t('selection.nested', {
+        reason: t(`selection.reason.${selection.reason}`, { n: exactInfo ? exactInfo.n_obs : '' }),
+        model: `<span style="font-family: monospace;">${escapeHtml(result.selectedModel)}</span>`,
+        dropped: escapeHtml(selection.droppedVariables.map(variableLabel).join(', '))
+    });
 }
 
-// Load saved prevalence from localStorage
-function loadSavedPrevalence() {
-    const saved = localStorage.getItem('target_prevalence');
-    if (saved !== null) {
-        const prevalenceInput = document.getElementById('target_prevalence');
-        if (prevalenceInput) {
-            prevalenceInput.value = saved;
-            console.log(`Loaded saved prevalence: ${saved}%`);
-        }
+function renderModelSelection(result) {
+    if (result.modelSelection.strategy === 'exact') {
+        return '';
     }
+    return `<div class="selection-note">${modelSelectionText(result)}</div>`;
 }
 
-// Save prevalence to localStorage
-function savePrevalence(value) {
-    localStorage.setItem('target_prevalence', value);
-    console.log(`Saved prevalence: ${value}%`);
+// Severity label with its icon; the icon is hidden from screen readers, the text says the same
+function severityText(icon, color, text) {
+    return `<span style="color: ${color}; font-weight: 600;"><span class="severity-icon" aria-hidden="true">${icon}</span>${text}</span>`;
 }
 
-// Initialize when page loads
-document.addEventListener('DOMContentLoaded', async function() {
-    const loaded = await loadModel();
+// Screen-reader announcement of the result, once the input has settled: results are re-rendered
+// on every change, so only the last summary of a burst is announced, and never twice in a row
+const ANNOUNCE_DELAY_MS = 1000;
+let lastAnnouncement = '';
 
-    if (!loaded) {
+const announceResult = debounce((text) => {
+    if (text === lastAnnouncement) {
         return;
     }
+    lastAnnouncement = text;
+    document.getElementById('results-announcer').textContent = text;
+}, ANNOUNCE_DELAY_MS);
+
+// Expected sensitivity, specificity, PPV and NPV of the cut-offs in effect for the selected subset model
+function renderOperatingPoints(result) {
+    const cutoffs = result.cutoffs;
+    const percent = (value) => (value === null ? '–' : formatPercent(value, 0));
+
+    let sourceNote = '';
+    if (cutoffs.source === 'youden') {
+        sourceNote = t('operatingPoints.youdenNote', { cutoff: formatProbability(cutoffs.moderate) });
+    } else if (cutoffs.source === 'fixed-fallback') {
+        sourceNote = t('operatingPoints.fallbackNote');
+    }
 
-    // Load saved prevalence value
-    loadSavedPrevalence();
+    if (!result.operatingPoints) {
+        return `
+            <div class="operating-points">
+                <p class="explanation-note">
+                    ${sourceNote}
+                    ${t('operatingPoints.unavailable')}
+                </p>
+            </div>`;
+    }
 
-    const form = document.getElementById('assessment-form');
-    form.addEventListener('submit', handleSubmit);
+    const rows = [
+        [t('operatingPoints.moderateOrAbove'), result.operatingPoints.moderate],
+        [t('operatingPoints.high'), result.operatingPoints.high]
+    ].map(([label, point]) => `
+        <tr>
+            <td>${label} (≥ ${formatProbability(point.threshold)})</td>
+            <td class="numeric-cell">${percent(point.sensitivity)}</td>
+            <td class="numeric-cell">${percent(point.specificity)}</td>
+            <td class="numeric-cell">${percent(point.ppv)}</td>
+            <td class="numeric-cell">${percent(point.npv)}</td>
+            <td class="numeric-cell">${point.falsePositivesPerTruePositive === null ? '–' : formatNumber(point.falsePositivesPerTruePositive)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        <div class="operating-points">
+            <table class="explanation-table">
+                <thead>
+                    <tr>
+                        <th>${t('operatingPoints.cutoff')}</th>
+                        <th>${t('operatingPoints.sensitivity')}</th>
+                        <th>${t('operatingPoints.specificity')}</th>
+                        <th>${t('operatingPoints.ppv')}</th>
+                        <th>${t('operatingPoints.npv')}</th>
+                        <th>${t('operatingPoints.falsePositives')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="explanation-note">
+                ${sourceNote}
+                ${t('operatingPoints.note', { model: escapeHtml(result.selectedModel), prevalence: formatProbability(result.targetPrevalence) })}
+            </p>
+        </div>`;
+}
 
-    // Enable auto-mode: hide submit button
-    const buttonGroup = document.querySelector('.button-group');
-    if (buttonGroup) {
-        buttonGroup.classList.add('auto-mode');
+// Printable assessment report for a displayed result, in the current language
+// Lists every answer (including "Don't know"), the result and its provenance; no patient identifier
+// is included unless one is typed in the report toolbar, and that field is never saved
+function renderReport(result, generatedAt) {
+    const interpretation = result.interpretation;
+    const ci = result.confidenceInterval;
+    const warning = result.uncertaintyWarnings[0];
+    const metadata = modelData.metadata || {};
+    const disclaimer = modelData.disclaimer || {};
+
+    const answer = (variable) => {
+        const value = result.inputs[variable.id];
+        if (value === undefined) {
+            return t('form.unknown');
+        }
+        if (variable.type === 'boolean') {
+            return value ? t('form.yes') : t('form.no');
+        }
+        const unit = localizedField(variable, 'unit');
+        return unit ? `${value} ${unit}` : String(value);
+    };
+    const answerRows = modelData.variables.map(variable => `
+        <tr>
+            <td>${escapeHtml(localizedField(variable, 'label') || variable.id)}</td>
+            <td>${escapeHtml(answer(variable))}</td>
+        </tr>
+    `).join('');
+
+    const cutoffText = `${formatProbability(result.cutoffs.moderate)} / ${formatProbability(result.cutoffs.high)}` +
+        (result.cutoffs.source === 'youden' ? ` ${t('report.youdenCutoff')}` : '');
+
+    const provenanceRows = [
+        [t('report.prevalenceAdjustment'), describePrevalence(result)],
+        [t('recalibration.title'), result.recalibration ? describeRecalibration(result.recalibration) : t('recalibration.none')],
+        [t('report.subsetModel'), escapeHtml(result.selectedModel)],
+        [t('report.modelSelection'), result.modelSelection.strategy === 'exact' ? t('selection.exact') : modelSelectionText(result)],
+        ['AUC', formatNumber(result.modelAUC, 3)],
+        [t('report.subsetSampleSize'), `n=${result.modelNObs}`],
+        [t('report.modelVersion'), escapeHtml(`${metadata.version ?? '?'} (${metadata.date_created ?? '?'})`)],
+        [t('report.generatedOn'), `${formatDateTime(generatedAt)} (${generatedAt.toISOString()})`]
+    ].map(([label, value]) => `<tr><th>${label}</th><td>${value}</td></tr>`).join('');
+
+    // The model's disclaimer in the current language, then in English when that differs
+    const disclaimerText = [...new Set([disclaimer[getLocale()], disclaimer[FALLBACK_LOCALE]])]
+        .filter(Boolean).map(text => `<p>${escapeHtml(text)}</p>`).join('');
+
+    return `
+        <div class="report-toolbar">
+            <label>
+                ${t('report.identifierInput')}
+                <input type="text" id="report-identifier" class="numeric-input" autocomplete="off">
+            </label>
+            <button type="button" id="report-print">${t('report.print')}</button>
+            <button type="button" id="report-close">${t('report.close')}</button>
+        </div>
+        <article class="report-page">
+            <h1>${t('report.title')}</h1>
+            <p class="report-identifier" id="report-identifier-line"></p>
+
+            <h2>${t('report.result')}</h2>
+            <p class="report-probability">
+                ${formatProbability(result.probability)}
+                <span>[${t('result.ci', { level: formatPercent(ci.level, 0) })} ${formatInterval(ci)}]</span>
+            </p>
+            <p><strong>${LEVEL_STYLES[interpretation.level].icon} ${t(`interpretation.${interpretation.level}.label`)}</strong> – ${warning.icon} ${t(`uncertainty.${warning.severity}`)}</p>
+            <p>${t(`interpretation.${interpretation.level}.recommendation`)}</p>
+            ${result.extrapolationWarnings.length > 0 ? `
+                <p><strong>${EXTRAPOLATION_STYLE.icon} ${t('extrapolation.label')}</strong></p>
+                <ul>${extrapolationMessages(result).map(message => `<li>${message}</li>`).join('')}</ul>
+            ` : ''}
+            <p class="explanation-note">${t('report.cutoffs', { cutoffs: cutoffText })}</p>
+
+            <h2>${t('report.answers')}</h2>
+            <table class="explanation-table">
+                <tbody>${answerRows}</tbody>
+            </table>
+
+            <h2>${t('report.provenance')}</h2>
+            <table class="explanation-table report-provenance">
+                <tbody>${provenanceRows}</tbody>
+            </table>
+
+            <div class="disclaimer">
+                <strong>${t('disclaimer.title')}</strong>
+                ${disclaimerText}
+            </div>
+        </article>`;
+}
+
+// Replace the page with the report (screen preview and print layout)
+function openReport(result) {
+    const report = document.getElementById('report');
+    report.innerHTML = renderReport(result, new Date());
+    document.body.classList.add('report-mode');
+    window.scrollTo(0, 0);
+
+    const identifierLine = document.getElementById('report-identifier-line');
+    document.getElementById('report-identifier').addEventListener('input', (event) => {
+        const identifier = event.target.value.trim();
+        identifierLine.textContent = identifier ? t('report.identifier', { identifier }) : '';
+    });
+    document.getElementById('report-print').addEventListener('click', () => window.print());
+    document.getElementById('report-close').addEventListener('click', closeReport);
+}
+
+// Back to the form; the report (and any identifier typed into it) is discarded
+function closeReport() {
+    document.body.classList.remove('report-mode');
+    document.getElementById('report').innerHTML = '';
+}
+
+// Range over the unanswered questions and suggestion of the next question to ask
+function renderWhatIf(result) {
+    const whatIf = scorer.whatIf(result.inputs, result.options);
+    if (!whatIf) {
+        return '';
     }
 
-    // Add auto-calculation to all radio buttons
-    const radios = document.querySelectorAll('input[type="radio"]');
-    console.log(`Adding auto-calculation to ${radios.length} radio buttons`);
-    radios.forEach(radio => {
-        radio.addEventListener('change', () => {
-            console.log(`Radio changed: ${radio.name} = ${radio.value}`);
-            autoCalculate();
-        });
+    const label = (id) => {
+        const variable = modelData.variables.find(v => v.id === id);
+        return escapeHtml(localizedField(variable, 'label') || id);
+    };
+    // Changes in % points
+    const points = (value) => formatNumber(Math.abs(value * 100));
+    const signed = (value) => (value >= 0 ? '+' : '−') + points(value);
+
+    const questionRows = whatIf.questions.map((question, index) => `
+        <tr${index === 0 ? ' class="next-question"' : ''}>
+            <td>${index === 0 ? '➜ ' : ''}${label(question.variable)}</td>
+            <td class="numeric-cell">${formatProbability(question.probabilityIfYes)}</td>
+            <td class="numeric-cell">${formatProbability(question.probabilityIfNo)}</td>
+            <td class="numeric-cell">±${points(question.expectedChange)}</td>
+            <td class="numeric-cell">${signed(question.expectedWidthChange)}</td>
+        </tr>
+    `).join('');
+
+    const numericNote = whatIf.unknownNumeric.length > 0
+        ? `<p class="explanation-note">${t('whatIf.unknownNumeric')} ${whatIf.unknownNumeric.map(label).join(', ')}</p>`
+        : '';
+
+    return `
+        <div class="what-if">
+            <div>
+                ${t('whatIf.range', {
+                    min: `<strong>${formatProbability(whatIf.min.probability)}</strong>`,
+                    max: `<strong>${formatProbability(whatIf.max.probability)}</strong>`,
+                    count: whatIf.unknownBooleans.length
+                })}
+            </div>
+            <details class="technical-details" data-panel="next-question"${openResultPanels.has('next-question') ? ' open' : ''}>
+                <summary>${t('whatIf.nextQuestion')}</summary>
+                <p class="explanation-note">${t('whatIf.help')}</p>
+                <table class="explanation-table">
+                    <thead>
+                        <tr>
+                            <th>${t('whatIf.question')}</th>
+                            <th>${t('whatIf.ifYes')}</th>
+                            <th>${t('whatIf.ifNo')}</th>
+                            <th>${t('whatIf.expectedChange')}</th>
+                            <th>${t('whatIf.ciWidth')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${questionRows}</tbody>
+                </table>
+                ${numericNote}
+            </details>
+        </div>`;
+}
+
+// Horizontal bar for a contribution on the logit scale, centred on zero
+function contributionBar(value, maxAbs) {
+    const width = 120;
+    const half = width / 2;
+    const length = maxAbs > 0 ? Math.abs(value) / maxAbs * half : 0;
+    const x = value >= 0 ? half : half - length;
+    const color = value >= 0 ? '#dc2626' : '#2563eb';
+    return `
+        <svg width="${width}" height="14" role="img" aria-hidden="true">
+            <rect x="${x}" y="2" width="${length}" height="10" fill="${color}"></rect>
+            <line x1="${half}" y1="0" x2="${half}" y2="14" stroke="#6b7280"></line>
+        </svg>`;
+}
+
+// Forest-plot row: odds ratio and its 95% CI on a log scale, with a reference line at OR = 1
+function forestMark(term, logRange) {
+    const width = 140;
+    const scale = (or) => (Math.max(-logRange, Math.min(logRange, Math.log(or))) + logRange) / (2 * logRange) * width;
+    const center = scale(1);
+    const lineHTML = term.oddsRatioLower !== null
+        ? `<line x1="${scale(term.oddsRatioLower)}" y1="7" x2="${scale(term.oddsRatioUpper)}" y2="7" stroke="#374151"></line>`
+        : '';
+    return `
+        <svg width="${width}" height="14" role="img" aria-hidden="true">
+            <line x1="${center}" y1="0" x2="${center}" y2="14" stroke="#9ca3af" stroke-dasharray="2,2"></line>
+            ${lineHTML}
+            <rect x="${scale(term.oddsRatio) - 3}" y="4" width="6" height="6" fill="#111827"></rect>
+        </svg>`;
+}
+
+// "Why this score" panel: contribution of each answer to the linear predictor and odds ratios
+function renderExplanation(result) {
+    const explanation = scorer.explain(result);
+    const ciText = t('result.ci', { level: formatPercent(explanation.ciLevel, 0) });
+    const format = (value, digits = 2) => (value >= 0 ? '+' : '−') + formatNumber(Math.abs(value), digits);
+    // Three significant digits below 100
+    const formatOR = (value) => formatNumber(value, Math.max(0, 2 - Math.floor(Math.log10(value))));
+
+    const contributions = [
+        explanation.intercept.coefficient,
+        explanation.prevalenceOffset.contribution,
+        explanation.recalibration ? explanation.recalibration.contribution : 0,
+        ...explanation.terms.map(term => term.contribution)
+    ];
+    const maxAbs = Math.max(...contributions.map(Math.abs));
+    const logRange = Math.min(5, Math.max(1, ...explanation.terms
+        .filter(term => term.oddsRatioLower !== null)
+        .map(term => Math.max(Math.abs(Math.log(term.oddsRatioLower)), Math.abs(Math.log(term.oddsRatioUpper))))));
+
+    const answerText = (term) => {
+        if (term.type === 'boolean') {
+            return term.value ? t('form.yes') : t('form.no');
+        }
+        const variable = modelData.variables.find(v => v.id === term.variable);
+        return `${term.value} ${escapeHtml(localizedField(variable, 'unit'))}`;
+    };
+
+    const termRows = explanation.terms.map(term => {
+        const variable = modelData.variables.find(v => v.id === term.variable);
+        const unit = localizedField(variable, 'unit') || t('explanation.unit');
+        const perUnit = term.type === 'numeric' ? ` <span class="explanation-note">(${t('explanation.perUnit', { unit: escapeHtml(unit) })})</span>` : '';
+        const orText = term.oddsRatioLower !== null
+            ? `${formatOR(term.oddsRatio)} [${formatOR(term.oddsRatioLower)}–${formatOR(term.oddsRatioUpper)}]`
+            : formatOR(term.oddsRatio);
+        return `
+            <tr>
+                <td>${escapeHtml(localizedField(variable, 'label') || variable.id)}</td>
+                <td>${answerText(term)}</td>
+                <td class="numeric-cell">${format(term.contribution)}</td>
+                <td>${contributionBar(term.contribution, maxAbs)}</td>
+                <td class="numeric-cell">${orText}${perUnit}</td>
+                <td>${forestMark(term, logRange)}</td>
+            </tr>`;
+    }).join('');
+
+    const offset = explanation.prevalenceOffset;
+    const recalibration = explanation.recalibration;
+    const baseline = result.recalibration
+        ? `${t('recalibration.cohortLabel')} ${formatProbability(result.recalibration.cohortPrevalence)}`
+        : `${t('explanation.sample')} ${formatProbability(result.samplePrevalence)}`;
+    const recalibrationRow = recalibration ? `
+                    <tr>
+                        <td>${t('recalibration.title')}</td>
+                        <td class="explanation-note">${t('recalibration.explanation', {
+                            intercept: formatNumber(recalibration.intercept, 2),
+                            slope: formatNumber(recalibration.slope, 2)
+                        })}</td>
+                        <td class="numeric-cell">${format(recalibration.contribution)}</td>
+                        <td>${contributionBar(recalibration.contribution, maxAbs)}</td>
+                        <td colspan="2"></td>
+                    </tr>` : '';
+
+    return `
+        <details class="technical-details explanation" data-panel="explanation"${openResultPanels.has('explanation') ? ' open' : ''}>
+            <summary>${t('explanation.title')}</summary>
+            <p class="explanation-note">${t('explanation.help', { ci: ciText })}</p>
+            <table class="explanation-table">
+                <thead>
+                    <tr>
+                        <th>${t('explanation.term')}</th>
+                        <th>${t('explanation.answer')}</th>
+                        <th colspan="2">${t('explanation.contribution')}</th>
+                        <th colspan="2">${t('explanation.oddsRatio', { ci: ciText })}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>${t('explanation.intercept')}</td>
+                        <td></td>
+                        <td class="numeric-cell">${format(explanation.intercept.coefficient)}</td>
+                        <td>${contributionBar(explanation.intercept.coefficient, maxAbs)}</td>
+                        <td colspan="2"></td>
+                    </tr>
+                    ${termRows}
+                    ${recalibrationRow}
+                    <tr>
+                        <td>${t('explanation.prevalenceAdjustment')}</td>
+                        <td class="explanation-note">
+                            ${baseline} (${format(offset.sampleLogOdds)})
+                            → ${t('explanation.target')} ${formatProbability(result.targetPrevalence)} (${format(offset.targetLogOdds)})
+                        </td>
+                        <td class="numeric-cell">${format(offset.contribution)}</td>
+                        <td>${contributionBar(offset.contribution, maxAbs)}</td>
+                        <td colspan="2"></td>
+                    </tr>
+                </tbody>
+                <tfoot>
+                    <tr>
+                        <th colspan="2">${t('explanation.adjustedPredictor')}</th>
+                        <th class="numeric-cell">${format(explanation.adjustedLinearPredictor)}</th>
+                        <th colspan="3">→ ${formatProbability(result.probability)}</th>
+                    </tr>
+                </tfoot>
+            </table>
+        </details>`;
+}
+
+// Display an engine error in the results panel instead of interrupting the user
+function displayError(error) {
+    const resultsDiv = document.getElementById('results');
+    const title = t('errors.calculation');
+    const details = error instanceof ScorerError ? error.message : t('errors.unexpected');
+
+    resultsDiv.innerHTML = `
+        <div class="warning-box">
+            <strong>${title}</strong>
+            <p style="margin-bottom: 0;">${escapeHtml(details)}</p>
+        </div>
+    `;
+    resultsDiv.style.display = 'block';
+    announceResult(`${title}. ${details}`);
+}
+
+// Handle form submission
+function handleSubmit(event) {
+    event.preventDefault();
+    autoCalculate();
+}
+
+// Auto-calculate on input change
+function autoCalculate() {
+    try {
+        const formData = collectFormData();
+        console.log('Auto-calculating with form data:', formData);
+
+        const result = calculateProbability(formData);
+        console.log('Calculation result:', result);
+
+        if (result) {
+            displayResults(result, compareResult(formData));
+        } else {
+            // Hide results if no calculation was performed
+            const resultsDiv = document.getElementById('results');
+            resultsDiv.style.display = 'none';
+            console.log('No result - results hidden');
+        }
+        postToHost(() => resultMessage(modelData, formData, result));
+    } catch (error) {
+        console.error('Error in auto-calculation:', error);
+        displayError(error);
+        postToHost(() => errorMessage('calculation_failed', error.message));
+    }
+
+    updateUrlState();
+}
+
+// Current answers and settings, as kept in the URL fragment
+function currentUrlState() {
+    const isBeta = Boolean(activePreset && activePreset.alpha !== undefined);
+    const lower = document.getElementById('prevalence_lower').value;
+    const upper = document.getElementById('prevalence_upper').value;
+
+    return {
+        answers: collectFormData(),
+        prevalence: document.getElementById('target_prevalence').value,
+        range: !isBeta && lower !== '' && upper !== '' ? [lower, upper] : null,
+        beta: isBeta ? [activePreset.alpha, activePreset.beta] : null,
+        presetId: activePreset ? activePreset.id : null,
+        ciLevel: document.getElementById('ci_level').value,
+        thresholds: {
+            mode: document.getElementById('threshold_mode').value,
+            moderate: document.getElementById('threshold_moderate').value,
+            high: document.getElementById('threshold_high').value
+        },
+        language: getLocale(),
+        modelVersion: modelData.metadata ? modelData.metadata.version : null,
+        recalibration: siteRecalibration ? overlayId(siteRecalibration) : null
+    };
+}
+
+// Keep the URL fragment in step with the form (replaceState: no history entry per answer)
+function updateUrlState() {
+    history.replaceState(null, '', '#' + encodeState(modelData.variables, currentUrlState()));
+}
+
+// Restore the prevalence of a shared link: the same local preset when it still has the same values,
+// else a temporary preset for a Beta distribution, else the typed values
+function restoreLinkPrevalence(state) {
+    const close = (percent, proportion) => proportion !== undefined && Math.abs(Number(percent) - proportion * 100) < 1e-6;
+    const local = state.presetId && allPresets().find(preset => preset.id === state.presetId);
+    const matches = local && (state.beta
+        ? local.alpha === Number(state.beta[0]) && local.beta === Number(state.beta[1])
+        : local.alpha === undefined && close(state.prevalence, local.estimate) &&
+          (state.range ? close(state.range[0], local.lower) && close(state.range[1], local.upper) : local.lower === undefined));
+
+    if (matches) {
+        applyPreset(local);
+    } else if (state.beta) {
+        const [alpha, beta] = state.beta.map(Number);
+        linkPreset = {
+            id: 'shared-link',
+            builtin: true,
+            estimate: alpha / (alpha + beta),
+            alpha,
+            beta
+        };
+        applyPreset(linkPreset);
+    } else if (state.prevalence !== null) {
+        clearActivePreset();
+        document.getElementById('target_prevalence').value = state.prevalence;
+        document.getElementById('prevalence_lower').value = state.range ? state.range[0] : '';
+        document.getElementById('prevalence_upper').value = state.range ? state.range[1] : '';
+        savePrevalence(state.prevalence);
+        savePrevalenceRange();
+    }
+}
+
+// Restore an assessment shared through the URL fragment; returns true when the fragment held one
+function restoreUrlState() {
+    const state = decodeState(modelData.variables, window.location.hash);
+    if (!state) {
+        return false;
+    }
+    applyAssessmentState(state, 'link');
+    return true;
+}
+
+// Put a decoded assessment state (see decodeState) into the form, and warn when it may not reproduce
+// the original result (another model version, variable set or site recalibration). source: 'link' (shared URL) or 'history' (saved entry), for the warning texts
+function applyAssessmentState(state, source) {
+    if (state.language && isSupportedLocale(state.language)) {
+        updateLanguage(state.language);
+    }
+    restoreLinkPrevalence(state);
+
+    const levelSelect = document.getElementById('ci_level');
+    if (state.ciLevel && [...levelSelect.options].some(option => option.value === state.ciLevel)) {
+        levelSelect.value = state.ciLevel;
+        saveConfidenceLevel(state.ciLevel);
+    }
+
+    if (state.thresholds) {
+        document.getElementById('threshold_mode').value = state.thresholds.mode;
+        if (state.thresholds.moderate !== undefined) {
+            document.getElementById('threshold_moderate').value = state.thresholds.moderate;
+        }
+        document.getElementById('threshold_high').value = state.thresholds.high;
+        updateThresholdInputs();
+        saveThresholds();
+    }
+
+    setFormData(state.answers);
+
+    const messages = [];
+    const version = modelData.metadata ? modelData.metadata.version : null;
+    if (state.modelVersion !== version) {
+        messages.push([`${source}.versionMismatch`, { linkVersion: state.modelVersion ?? '?', version: version ?? '?' }]);
+    }
+    if (!state.answersMatch) {
+        messages.push([`${source}.answersMismatch`, {}]);
+    }
+    const recalibration = siteRecalibration ? overlayId(siteRecalibration) : null;
+    if (state.recalibration !== recalibration) {
+        const applied = siteRecalibration &&
+            `${recalibration} (${siteRecalibration.site ?? t('recalibration.unnamedSite')})`;
+        if (!state.recalibration) {
+            messages.push([`${source}.recalibrationAdded`, { recalibration: applied }]);
+        } else if (!recalibration) {
+            messages.push([`${source}.recalibrationMissing`, { linkRecalibration: state.recalibration }]);
+        } else {
+            messages.push([`${source}.recalibrationMismatch`, { linkRecalibration: state.recalibration, recalibration: applied }]);
+        }
+    }
+    showLinkWarning(messages);
+}
+
+// Warn about a shared link that may not reproduce the original result
+// messages: [catalog key, parameters] pairs (empty list: hide)
+function showLinkWarning(messages) {
+    const box = document.getElementById('link-warning');
+    box.innerHTML = messages.map(([key, params]) => `
+        <p ${i18nAttributes(key, params)}>${escapeHtml(t(key, params))}</p>
+    `).join('');
+    box.style.display = messages.length > 0 ? 'block' : 'none';
+}
+
+// Copy the link to the current assessment; when the clipboard is not available, show it for manual copy
+async function copyLink() {
+    updateUrlState();
+    const status = document.getElementById('copy-link-status');
+    const warning = t('link.secure');
+    try {
+        await navigator.clipboard.writeText(window.location.href);
+        status.textContent = `${t('link.copied')} ${warning}`;
+    } catch (error) {
+        status.textContent = `${window.location.href} – ${warning}`;
+    }
+}
+
+// Reset every answer to unknown and remove the assessment from the URL (settings are kept)
+function clearAssessment() {
+    setFormData({});
+    fhirSubject = null;
+    document.getElementById('results').style.display = 'none';
+    document.getElementById('copy-link-status').textContent = '';
+    showLinkWarning([]);
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+// Debounce function for numeric inputs
+function debounce(func, wait) {
+    let timeout;
+    return function(...args) {
+        clearTimeout(timeout);
+        timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+}
+
+// Load saved prevalence from localStorage
+function loadSavedPrevalence() {
+    const saved = localStorage.getItem('target_prevalence');
+    if (saved !== null) {
+        const prevalenceInput = document.getElementById('target_prevalence');
+        if (prevalenceInput) {
+            prevalenceInput.value = saved;
+            console.log(`Loaded saved prevalence: ${saved}%`);
+        }
+    }
+}
+
+// Save prevalence to localStorage
+function savePrevalence(value) {
+    localStorage.setItem('target_prevalence', value);
+    console.log(`Saved prevalence: ${value}%`);
+}
+
+// All presets: built-in ones first, then the team's own
+function allPresets() {
+    return [
+        ...builtinPresets(modelData.prevalence_info.default_target_prevalence ?? 0.25),
+        ...userPresets,
+        ...(linkPreset ? [linkPreset] : [])
+    ];
+}
+
+function presetName(preset) {
+    if (preset.builtin) {
+        return t(`presets.${preset.id}`);
+    }
+    return preset.name;
+}
+
+// Short description of the prevalence used, for the results footer
+function describePrevalence(result) {
+    const percent = (value) => formatPercent(value, 1, 0);
+    const uncertainty = result.prevalenceUncertainty;
+    let text = percent(result.targetPrevalence);
+    if (uncertainty && uncertainty.alpha !== undefined) {
+        text += ` ~ Beta(${uncertainty.alpha}, ${uncertainty.beta})`;
+    } else if (uncertainty) {
+        text += ` [${percent(uncertainty.lower)}–${percent(uncertainty.upper)}]`;
+    }
+    return activePreset
+        ? t('prevalence.summaryPreset', { name: escapeHtml(presetName(activePreset)), value: text })
+        : t('prevalence.summary', { value: text });
+}
+
+// Fill the preset dropdown (first entry: values typed by hand)
+function renderPresetOptions() {
+    const select = document.getElementById('prevalence-preset');
+    if (!select) {
+        return;
+    }
+    select.innerHTML = `<option value="custom">${t('prevalence.custom')}</option>` + allPresets().map(preset =>
+        `<option value="${escapeHtml(preset.id)}">${escapeHtml(presetName(preset))}</option>`
+    ).join('');
+    select.value = activePreset ? activePreset.id : 'custom';
+
+    const deleteButton = document.getElementById('preset-delete');
+    if (deleteButton) {
+        deleteButton.disabled = !activePreset || Boolean(activePreset.builtin);
+    }
+}
+
+// Show the preset's estimate and range (or Beta parameters) in the form
+function applyPreset(preset) {
+    activePreset = preset;
+    const { targetPrevalence, prevalenceUncertainty } = presetOptions(preset);
+    const lower = document.getElementById('prevalence_lower');
+    const upper = document.getElementById('prevalence_upper');
+    const betaNote = document.getElementById('prevalence-beta');
+    const isBeta = preset.alpha !== undefined;
+
+    document.getElementById('target_prevalence').value = +(targetPrevalence * 100).toFixed(2);
+    lower.value = prevalenceUncertainty && !isBeta ? +(prevalenceUncertainty.lower * 100).toFixed(2) : '';
+    upper.value = prevalenceUncertainty && !isBeta ? +(prevalenceUncertainty.upper * 100).toFixed(2) : '';
+    lower.disabled = isBeta;
+    upper.disabled = isBeta;
+    betaNote.textContent = isBeta ? `Beta(${preset.alpha}, ${preset.beta})` : '';
+
+    localStorage.setItem(SELECTED_PRESET_STORAGE_KEY, preset.id);
+    savePrevalence(document.getElementById('target_prevalence').value);
+    savePrevalenceRange();
+    renderPresetOptions();
+}
+
+// Values typed by hand: no preset applies any more
+function clearActivePreset() {
+    if (activePreset && activePreset.alpha !== undefined) {
+        document.getElementById('prevalence_lower').disabled = false;
+        document.getElementById('prevalence_upper').disabled = false;
+        document.getElementById('prevalence-beta').textContent = '';
+    }
+    activePreset = null;
+    localStorage.removeItem(SELECTED_PRESET_STORAGE_KEY);
+    renderPresetOptions();
+}
+
+// Save the typed plausible range to localStorage
+function savePrevalenceRange() {
+    const lower = document.getElementById('prevalence_lower').value;
+    const upper = document.getElementById('prevalence_upper').value;
+    localStorage.setItem('prevalence_range', JSON.stringify([lower, upper]));
+}
+
+// Restore presets, the selected preset and the typed range
+function loadSavedPrevalencePresets() {
+    userPresets = loadPresets(localStorage);
+
+    try {
+        const [lower, upper] = JSON.parse(localStorage.getItem('prevalence_range') || '["", ""]');
+        document.getElementById('prevalence_lower').value = lower;
+        document.getElementById('prevalence_upper').value = upper;
+    } catch (error) {
+        console.warn('Ignoring invalid saved prevalence range');
+    }
+
+    const selectedId = localStorage.getItem(SELECTED_PRESET_STORAGE_KEY);
+    const selected = allPresets().find(preset => preset.id === selectedId);
+    if (selected) {
+        applyPreset(selected);
+    } else {
+        renderPresetOptions();
+    }
+}
+
+// Show a preset management problem next to the prevalence field
+function showPresetError(message) {
+    const error = document.getElementById('prevalence-error');
+    error.textContent = message;
+    error.style.display = message ? 'block' : 'none';
+}
+
+// Save the current prevalence and range (or the typed Beta parameters) as a named preset
+function saveCurrentAsPreset() {
+    const name = document.getElementById('preset-name').value;
+    const alpha = document.getElementById('preset-alpha').value;
+    const beta = document.getElementById('preset-beta').value;
+    const uncertainty = getPrevalenceUncertainty();
+
+    const candidate = alpha !== '' || beta !== ''
+        ? { name, alpha: parseFloat(alpha), beta: parseFloat(beta) }
+        : {
+            name,
+            estimate: getTargetPrevalence(),
+            ...(uncertainty && uncertainty.lower !== undefined ? { lower: uncertainty.lower, upper: uncertainty.upper } : {})
+        };
+
+    try {
+        const preset = { ...validatePreset(candidate), id: `user-${Date.now()}` };
+        userPresets.push(preset);
+        savePresets(localStorage, userPresets);
+        document.getElementById('preset-name').value = '';
+        document.getElementById('preset-alpha').value = '';
+        document.getElementById('preset-beta').value = '';
+        showPresetError('');
+        applyPreset(preset);
+        autoCalculate();
+    } catch (error) {
+        showPresetError(error.message);
+    }
+}
+
+// Wire up the preset dropdown, the range fields and the preset manager
+function initPrevalencePresets() {
+    loadSavedPrevalencePresets();
+
+    document.getElementById('prevalence-preset').addEventListener('change', (event) => {
+        const preset = allPresets().find(p => p.id === event.target.value);
+        if (preset) {
+            applyPreset(preset);
+        } else {
+            clearActivePreset();
+        }
+        console.log(`Prevalence preset: ${event.target.value}`);
+        autoCalculate();
     });
 
-    // Add auto-calculation to numeric inputs (with debounce)
-    const numericInput = document.getElementById('work_disability_months');
-    if (numericInput) {
-        numericInput.addEventListener('input', debounce(() => {
-            console.log(`Numeric input changed: ${numericInput.value}`);
+    ['prevalence_lower', 'prevalence_upper'].forEach(id => {
+        document.getElementById(id).addEventListener('input', debounce(() => {
+            clearActivePreset();
+            savePrevalenceRange();
             autoCalculate();
         }, 500));
+    });
+
+    document.getElementById('preset-save').addEventListener('click', saveCurrentAsPreset);
+
+    document.getElementById('preset-delete').addEventListener('click', () => {
+        if (activePreset && !activePreset.builtin) {
+            userPresets = userPresets.filter(preset => preset.id !== activePreset.id);
+            savePresets(localStorage, userPresets);
+            clearActivePreset();
+            autoCalculate();
+        }
+    });
+
+    document.getElementById('preset-export').addEventListener('click', () => {
+        const exported = userPresets.map(({ id, ...preset }) => preset);
+        downloadFile(JSON.stringify(exported, null, 2), 'prevalence_presets.json', 'application/json');
+    });
+
+    document.getElementById('preset-import').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        if (!file) {
+            return;
+        }
+        try {
+            userPresets = [...userPresets, ...parsePresetsFile(await file.text())];
+            savePresets(localStorage, userPresets);
+            showPresetError('');
+            renderPresetOptions();
+        } catch (error) {
+            showPresetError(error.message);
+        }
+        event.target.value = '';
+    });
+}
+
+// Load saved confidence level from localStorage
+function loadSavedConfidenceLevel() {
+    const saved = localStorage.getItem('ci_level');
+    const levelSelect = document.getElementById('ci_level');
+    if (saved !== null && levelSelect && [...levelSelect.options].some(option => option.value === saved)) {
+        levelSelect.value = saved;
+        console.log(`Loaded saved confidence level: ${saved}`);
+    }
+}
+
+// Save confidence level to localStorage
+function saveConfidenceLevel(value) {
+    localStorage.setItem('ci_level', value);
+    console.log(`Saved confidence level: ${value}`);
+}
+
+// Load saved decision cut-offs from localStorage
+function loadSavedThresholds() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('decision_thresholds'));
+        if (saved) {
+            document.getElementById('threshold_mode').value = saved.mode === 'youden' ? 'youden' : 'fixed';
+            document.getElementById('threshold_moderate').value = saved.moderate;
+            document.getElementById('threshold_high').value = saved.high;
+        }
+    } catch (error) {
+        console.warn('Ignoring invalid saved decision cut-offs');
+    }
+    updateThresholdInputs();
+}
+
+// Save decision cut-offs (as typed, in %) to localStorage
+function saveThresholds() {
+    localStorage.setItem('decision_thresholds', JSON.stringify({
+        mode: document.getElementById('threshold_mode').value,
+        moderate: document.getElementById('threshold_moderate').value,
+        high: document.getElementById('threshold_high').value
+    }));
+}
+
+// The moderate cut-off comes from the model in Youden mode
+function updateThresholdInputs() {
+    document.getElementById('threshold_moderate').disabled = document.getElementById('threshold_mode').value === 'youden';
+}
+
+function initThresholds() {
+    loadSavedThresholds();
+
+    document.getElementById('threshold_mode').addEventListener('change', () => {
+        updateThresholdInputs();
+        saveThresholds();
+        autoCalculate();
+    });
+    const debouncedCalculate = debounce(() => {
+        saveThresholds();
+        autoCalculate();
+    }, 500);
+    ['threshold_moderate', 'threshold_high'].forEach(id => {
+        document.getElementById(id).addEventListener('input', debouncedCalculate);
+    });
+}
+
+// Translated text of a row that could not be scored (see scoreRows); the cell values are escaped
+function batchErrorText(error) {
+    return error.issues.map(issue => t(`batch.errors.${issue.code}`, Object.fromEntries(
+        Object.entries(issue.params).map(([name, value]) => [name, escapeHtml(value)])))).join('; ');
+}
+
+// Score a cohort CSV file entirely in the browser
+async function handleBatchFile(file) {
+    const output = document.getElementById('batch-output');
+
+    try {
+        const text = await file.text();
+        const delimiter = detectDelimiter(text);
+        const batch = scoreRows(scorer, parseCsv(text, delimiter), getScoreOptions());
+        const scored = batch.results.filter(row => row.result).length;
+        const resultCsv = toCsv(buildResultRows(batch), delimiter);
+        const resultName = file.name.replace(/\.csv$/i, '') + '_scores.csv';
+
+        console.log(`Batch scored: ${scored}/${batch.results.length} rows`);
+
+        const missingHTML = batch.missingColumns.length > 0 ? `
+            <p class="warning-box">
+                ${t('batch.missingColumns')}
+                <code>${batch.missingColumns.map(escapeHtml).join(', ')}</code>
+            </p>` : '';
+
+        const errorsHTML = batch.errors.length > 0 ? `
+            <div class="warning-box batch-errors">
+                <strong>${t('batch.rowsNotScored')} (${batch.errors.length})</strong>
+                <ul>
+                    ${batch.errors.map(e => `<li>${t('batch.line', { line: e.line, message: batchErrorText(e) })}</li>`).join('')}
+                </ul>
+            </div>` : '';
+
+        output.innerHTML = `
+            <p>
+                <strong>${escapeHtml(file.name)}</strong> —
+                ${t('batch.summary', {
+                    scored,
+                    total: batch.results.length,
+                    prevalence: formatPercent(getTargetPrevalence(), 1, 0),
+                    level: formatPercent(getConfidenceLevel(), 0)
+                })}
+            </p>
+            ${missingHTML}
+            ${errorsHTML}
+            <button type="button" id="batch-download">${t('batch.download')}</button>
+        `;
+
+        document.getElementById('batch-download').addEventListener('click', () => {
+            downloadFile(resultCsv, resultName, 'text/csv;charset=utf-8');
+        });
+    } catch (error) {
+        console.error('Batch scoring failed:', error);
+        let message = t('batch.unreadable');
+        if (error instanceof ScorerError) {
+            message = error.details.code ? t(`batch.errors.${error.details.code}`, error.details) : error.message;
+        }
+        output.innerHTML = `<p class="warning-box">${escapeHtml(message)}</p>`;
+    }
+}
+
+// Wire up the batch drop zone, file picker and template link
+function initBatchMode() {
+    const dropZone = document.getElementById('batch-drop-zone');
+    const fileInput = document.getElementById('batch-file');
+    if (!dropZone || !fileInput) {
+        return;
+    }
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) {
+            handleBatchFile(fileInput.files[0]);
+            fileInput.value = '';
+        }
+    });
+
+    dropZone.addEventListener('dragover', (event) => {
+        event.preventDefault();
+        dropZone.classList.add('dragover');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+    dropZone.addEventListener('drop', (event) => {
+        event.preventDefault();
+        dropZone.classList.remove('dragover');
+        if (event.dataTransfer.files.length > 0) {
+            handleBatchFile(event.dataTransfer.files[0]);
+        }
+    });
+
+    document.getElementById('batch-template').addEventListener('click', (event) => {
+        event.preventDefault();
+        downloadFile(buildTemplate(modelData.variables), 'cohort_template.csv', 'text/csv;charset=utf-8');
+    });
+}
+
+// Status line of the history section (empty key: clear), translated again on language change
+function showHistoryStatus(key, params = {}) {
+    document.getElementById('history-status').innerHTML = key
+        ? `<span ${i18nAttributes(key, params)}>${escapeHtml(t(key, params))}</span>`
+        : '';
+}
+
+function historyErrorKey(error) {
+    if (error instanceof HistoryError) {
+        return `history.errors.${error.code}`;
+    }
+    console.error('History error:', error);
+    return 'history.errors.unexpected';
+}
+
+// Passphrase form: a second field confirms the passphrase when the history is created,
+// since a mistyped one could never be recovered
+function setHistoryCreateMode(creating) {
+    const button = document.getElementById('history-unlock-button');
+    button.dataset.i18n = creating ? 'history.create' : 'history.unlock';
+    button.textContent = t(button.dataset.i18n);
+    document.getElementById('history-confirm').hidden = !creating;
+    document.getElementById('history-passphrase-confirm').required = creating;
+    document.getElementById('history-passphrase').autocomplete = creating ? 'new-password' : 'current-password';
+}
+
+// Show the passphrase form (locked) or the history (unlocked); decrypted entries leave the page when locked
+function showHistoryLocked(locked) {
+    document.getElementById('history-unlock').hidden = !locked;
+    document.getElementById('history-content').hidden = locked;
+    if (locked) {
+        document.getElementById('history-entries').innerHTML = '';
+    }
+}
+
+async function handleHistoryUnlock(event) {
+    event.preventDefault();
+    const input = document.getElementById('history-passphrase');
+    const confirmation = document.getElementById('history-passphrase-confirm');
+    if (!document.getElementById('history-confirm').hidden && confirmation.value !== input.value) {
+        showHistoryStatus('history.passphraseMismatch');
+        return;
+    }
+
+    showHistoryStatus('history.unlocking');
+    try {
+        historySession = await unlockHistory(input.value);
+        historyEntries = await historySession.list();
+    } catch (error) {
+        historySession = null;
+        showHistoryStatus(historyErrorKey(error));
+        return;
+    } finally {
+        input.value = '';
+        confirmation.value = '';
+    }
+
+    showHistoryLocked(false);
+    renderHistory();
+    showHistoryStatus('history.unlocked', { count: historyEntries.length });
+}
+
+function lockHistory() {
+    if (historySession) {
+        historySession.close();
+    }
+    historySession = null;
+    historyEntries = [];
+    showHistoryLocked(true);
+    setHistoryCreateMode(false);
+}
+
+// Save the assessment currently in the form under the typed pseudonym
+async function saveToHistory() {
+    const label = document.getElementById('history-label').value.trim();
+    if (label === '') {
+        showHistoryStatus('history.labelMissing');
+        return;
+    }
+
+    let result = null;
+    try {
+        result = calculateProbability(collectFormData());
+    } catch (error) {
+        console.error('Error while saving to the history:', error);
+    }
+    if (!result) {
+        showHistoryStatus('history.nothingToSave');
+        return;
+    }
+
+    const ci = result.confidenceInterval;
+    const entry = {
+        label,
+        date: new Date().toISOString(),
+        // The answers and settings, as in a shared link, to reopen the assessment exactly
+        fragment: encodeState(modelData.variables, currentUrlState()),
+        answers: collectFormData(),
+        result: {
+            probability: result.probability,
+            lower: ci.lower,
+            upper: ci.upper,
+            width: ci.width,
+            ciLevel: ci.level,
+            level: result.interpretation.level,
+            model: result.selectedModel
+        },
+        modelVersion: modelData.metadata ? modelData.metadata.version ?? null : null,
+        // Site recalibration applied (see overlayId), also kept in the fragment
+        recalibration: siteRecalibration ? overlayId(siteRecalibration) : null
+    };
+
+    try {
+        historyEntries.push(await historySession.add(entry));
+    } catch (error) {
+        showHistoryStatus(historyErrorKey(error));
+        return;
+    }
+    historyPseudonym = label;
+    renderHistory();
+    showHistoryStatus('history.saved', { label });
+}
+
+// Probability and interval of each assessment of one pseudonym over time (x: date, y: 0–100%)
+// The points are numbered as in the table below, which holds the same values for screen readers
+function historyChart(entries) {
+    const width = 560;
+    const height = 180;
+    const left = 45;
+    const right = 15;
+    const top = 10;
+    const bottom = 25;
+    const times = entries.map(entry => Date.parse(entry.date));
+    const span = times[times.length - 1] - times[0];
+    const x = (time) => (span > 0 ? left + (time - times[0]) / span * (width - left - right) : (left + width - right) / 2);
+    const y = (probability) => top + (1 - probability) * (height - top - bottom);
+
+    const grid = [0, 0.25, 0.5, 0.75, 1].map(value => `
+        <line x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}" stroke="#e5e7eb"/>
+        <text x="${left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="#4b5563">${formatPercent(value, 0)}</text>
+    `).join('');
+    const line = entries.length > 1
+        ? `<polyline points="${entries.map((entry, i) => `${x(times[i])},${y(entry.result.probability)}`).join(' ')}" fill="none" stroke="#9ca3af"/>`
+        : '';
+    const points = entries.map((entry, i) => {
+        const { probability, lower, upper, level } = entry.result;
+        const color = (LEVEL_STYLES[level] || LEVEL_STYLES.moderate).color;
+        const interval = lower !== null
+            ? `<line x1="${x(times[i])}" x2="${x(times[i])}" y1="${y(lower)}" y2="${y(upper)}" stroke="${color}" stroke-width="2"/>`
+            : '';
+        return `
+            ${interval}
+            <circle cx="${x(times[i])}" cy="${y(probability)}" r="4" fill="${color}"/>
+            <text x="${x(times[i])}" y="${height - 8}" text-anchor="middle" font-size="11" fill="#4b5563">${i + 1}</text>`;
+    }).join('');
+
+    return `
+        <svg class="history-chart" viewBox="0 0 ${width} ${height}" role="img"
+             aria-label="${escapeHtml(t('history.chartLabel', { label: entries[0].label, count: entries.length }))}">
+            ${grid}${line}${points}
+        </svg>`;
+}
+
+// Timeline of the selected pseudonym: chart, then one row per assessment with its change from the previous one
+function renderHistory() {
+    const container = document.getElementById('history-entries');
+    const pseudonyms = [...new Set(historyEntries.map(entry => entry.label))].sort((a, b) => a.localeCompare(b, getLocale()));
+    if (pseudonyms.length === 0) {
+        container.innerHTML = `<p>${t('history.empty')}</p>`;
+        return;
+    }
+    if (!pseudonyms.includes(historyPseudonym)) {
+        historyPseudonym = historyEntries[historyEntries.length - 1].label;
+    }
+
+    const entries = historyEntries.filter(entry => entry.label === historyPseudonym);
+    const points = (value) => `${value >= 0 ? '+' : '−'}${formatNumber(Math.abs(value) * 100)}`;
+    const rows = entries.map((entry, i) => {
+        const result = entry.result;
+        const style = LEVEL_STYLES[result.level] || LEVEL_STYLES.moderate;
+        const change = i > 0 ? points(result.probability - entries[i - 1].result.probability) : '–';
+        return `
+            <tr>
+                <td class="numeric-cell">${i + 1}</td>
+                <td>${escapeHtml(formatDateTime(new Date(entry.date)))}</td>
+                <td class="numeric-cell">${formatProbability(result.probability)} [${formatInterval(result)}] <span class="explanation-note">(${t('result.ci', { level: formatPercent(result.ciLevel, 0) })})</span></td>
+                <td class="numeric-cell">${change}</td>
+                <td>${severityText(style.icon, style.color, t(`interpretation.${result.level}.label`))}</td>
+                <td>${escapeHtml(entry.modelVersion ?? '?')}</td>
+                <td>
+                    <button type="button" data-history-action="reopen" data-entry-id="${entry.id}">${t('history.reopen')}</button>
+                    <button type="button" data-history-action="delete" data-entry-id="${entry.id}">${t('history.delete')}</button>
+                </td>
+            </tr>`;
+    }).join('');
+
+    container.innerHTML = `
+        <div class="history-row">
+            <label for="history-pseudonym">${t('history.timelineFor')}</label>
+            <select id="history-pseudonym">
+                ${pseudonyms.map(label => `
+                    <option value="${escapeHtml(label)}" ${label === historyPseudonym ? 'selected' : ''}>
+                        ${escapeHtml(label)} (${historyEntries.filter(entry => entry.label === label).length})
+                    </option>`).join('')}
+            </select>
+        </div>
+        ${historyChart(entries)}
+        <table class="explanation-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>${t('history.date')}</th>
+                    <th>${t('result.probability')}</th>
+                    <th>${t('history.change')}</th>
+                    <th>${t('history.level')}</th>
+                    <th>${t('history.modelVersion')}</th>
+                    <th></th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Put a saved assessment back into the form (answers and settings; the language is kept)
+function reopenHistoryEntry(entry) {
+    const state = decodeState(modelData.variables, entry.fragment);
+    if (!state) {
+        return;
+    }
+    applyAssessmentState({ ...state, language: null }, 'history');
+    document.getElementById('history-label').value = entry.label;
+    autoCalculate();
+    document.getElementById('assessment-form').scrollIntoView({ behavior: 'smooth' });
+    showHistoryStatus('history.reopened', { label: entry.label });
+}
+
+async function handleHistoryAction(event) {
+    const button = event.target.closest('button[data-history-action]');
+    if (!button) {
+        return;
+    }
+    const entry = historyEntries.find(candidate => String(candidate.id) === button.dataset.entryId);
+    if (!entry) {
+        return;
+    }
+
+    if (button.dataset.historyAction === 'reopen') {
+        reopenHistoryEntry(entry);
+        return;
+    }
+    try {
+        await historySession.remove(entry.id);
+    } catch (error) {
+        showHistoryStatus(historyErrorKey(error));
+        return;
+    }
+    historyEntries = historyEntries.filter(candidate => candidate !== entry);
+    renderHistory();
+    showHistoryStatus('history.deleted');
+}
+
+async function importHistoryFile(file) {
+    try {
+        let parsed;
+        try {
+            parsed = JSON.parse(await file.text());
+        } catch (error) {
+            throw new HistoryError('invalid_file');
+        }
+        const count = await historySession.importFile(parsed);
+        historyEntries = await historySession.list();
+        renderHistory();
+        showHistoryStatus('history.imported', { count });
+    } catch (error) {
+        showHistoryStatus(historyErrorKey(error));
+    }
+}
+
+async function exportHistoryFile() {
+    // Locked in the meantime (e.g. by a wipe)
+    if (!historySession) {
+        showHistoryStatus('history.locked');
+        return;
+    }
+    let file;
+    try {
+        file = await historySession.exportFile();
+    } catch (error) {
+        showHistoryStatus(historyErrorKey(error));
+        return;
+    }
+    downloadFile(JSON.stringify(file, null, 2), 'assessment_history.json', 'application/json');
+    showHistoryStatus('history.exported');
+}
+
+async function wipeAllHistory() {
+    if (!window.confirm(t('history.wipeConfirm'))) {
+        return;
+    }
+    lockHistory();
+    try {
+        await wipeHistory(() => showHistoryStatus('history.wipePending'));
+    } catch (error) {
+        showHistoryStatus(historyErrorKey(error));
+        return;
+    }
+    setHistoryCreateMode(true);
+    showHistoryStatus('history.wiped');
+}
+
+// Optional encrypted history; the database is only opened once the section is expanded,
+// so nothing is created in the browser for users who never use it
+function initHistory() {
+    const section = document.getElementById('history-section');
+    if (!section) {
+        return;
+    }
+    if (!isHistorySupported()) {
+        document.getElementById('history-unlock').hidden = true;
+        showHistoryStatus('history.errors.unavailable');
+        return;
+    }
+
+    let checked = false;
+    section.addEventListener('toggle', async () => {
+        if (!section.open || checked) {
+            return;
+        }
+        checked = true;
+        try {
+            setHistoryCreateMode(!await historyExists());
+        } catch (error) {
+            document.getElementById('history-unlock').hidden = true;
+            showHistoryStatus(historyErrorKey(error));
+        }
+    });
+
+    document.getElementById('history-unlock').addEventListener('submit', handleHistoryUnlock);
+    document.getElementById('history-save').addEventListener('click', saveToHistory);
+    document.getElementById('history-lock').addEventListener('click', () => {
+        lockHistory();
+        showHistoryStatus('history.locked');
+    });
+    document.getElementById('history-wipe').addEventListener('click', wipeAllHistory);
+    document.getElementById('history-export').addEventListener('click', exportHistoryFile);
+    document.getElementById('history-import').addEventListener('change', (event) => {
+        if (event.target.files.length > 0) {
+            importHistoryFile(event.target.files[0]);
+            event.target.value = '';
+        }
+    });
+
+    const entriesContainer = document.getElementById('history-entries');
+    entriesContainer.addEventListener('click', handleHistoryAction);
+    entriesContainer.addEventListener('change', (event) => {
+        if (event.target.id === 'history-pseudonym') {
+            historyPseudonym = event.target.value;
+            renderHistory();
+        }
+    });
+}
+
+// Show a FHIR status line and the issues found in a resource (translated again on language change)
+function showFhirStatus(key, params = {}, issues = []) {
+    const list = issues.map(found => {
+        const issueKey = `fhir.issues.${found.code}`;
+        return `
+            <li>
+                <span aria-hidden="true">${found.severity === 'error' ? '✗' : '⚠'}</span>
+                ${found.path ? `<code>${escapeHtml(found.path)}</code>:` : ''}
+                <span ${i18nAttributes(issueKey, found.params)}>${escapeHtml(t(issueKey, found.params))}</span>
+            </li>`;
+    }).join('');
+
+    document.getElementById('fhir-status').innerHTML = `
+        <p class="explanation-note" ${i18nAttributes(key, params)}>${escapeHtml(t(key, params))}</p>
+        ${list ? `<ul class="batch-errors">${list}</ul>` : ''}`;
+}
+
+// Download the FHIR Questionnaire of the loaded model, in the interface language
+function downloadQuestionnaire() {
+    const questionnaire = buildQuestionnaire(modelData, {
+        language: getLocale(),
+        title: t('app.title'),
+        label: (variable) => localizedField(variable, 'label'),
+        unit: (variable) => localizedField(variable, 'unit'),
+        answers: { yes: t('form.yes'), no: t('form.no'), unknown: t('form.unknown') }
+    });
+    downloadFile(JSON.stringify(questionnaire, null, 2), 'questionnaire.json', 'application/fhir+json');
+}
+
+// Fill the form from a pasted or loaded QuestionnaireResponse; items it lacks become "Don't know"
+function importQuestionnaireResponse(text) {
+    let resource;
+    try {
+        resource = JSON.parse(text);
+    } catch (error) {
+        showFhirStatus('fhir.notJson');
+        return;
+    }
+
+    const { answers, subject, issues } = readQuestionnaireResponse(modelData, resource);
+    // Counts only: the answers are patient data
+    console.log(`QuestionnaireResponse read: ${answers ? Object.values(answers).filter(value => value !== null).length : 0} known answers, ${issues.length} issues`);
+    if (!answers) {
+        showFhirStatus('fhir.importFailed', {}, issues);
+        return;
+    }
+
+    setFormData(answers);
+    fhirSubject = subject;
+    autoCalculate();
+    showFhirStatus('fhir.imported', {
+        known: Object.values(answers).filter(value => value !== null).length,
+        total: modelData.variables.length
+    }, issues);
+}
+
+// Download the current result as a FHIR RiskAssessment, checked against R4 before it is offered
+function exportRiskAssessment() {
+    let result;
+    try {
+        result = calculateProbability(collectFormData());
+    } catch (error) {
+        console.error('RiskAssessment export failed:', error);
+        showFhirStatus('errors.calculation');
+        return;
+    }
+    if (!result) {
+        showFhirStatus('fhir.noResult');
+        return;
+    }
+
+    const version = modelData.metadata ? modelData.metadata.version : null;
+    const resource = buildRiskAssessment(modelData, result, {
+        subject: fhirSubject ?? { display: t('fhir.anonymousSubject') },
+        occurrence: new Date().toISOString(),
+        texts: {
+            code: t('app.title'),
+            outcome: t('fhir.outcome'),
+            level: t(`interpretation.${result.interpretation.level}.label`),
+            method: t('fhir.method', { model: result.selectedModel, version: version ?? '?' }),
+            note: t('fhir.note', {
+                probability: formatPercent(result.probability),
+                interval: formatInterval(result.confidenceInterval),
+                level: formatPercent(result.confidenceInterval.level, 0),
+                prevalence: formatPercent(result.targetPrevalence)
+            })
+        }
+    });
+
+    const issues = validateResource(resource, 'RiskAssessment');
+    if (issues.length > 0) {
+        console.error('Invalid RiskAssessment:', issues);
+        showFhirStatus('fhir.exportFailed', {}, issues);
+        return;
+    }
+    downloadFile(JSON.stringify(resource, null, 2), 'risk-assessment.json', 'application/fhir+json');
+    showFhirStatus('fhir.exported');
+}
+
+function initFhir() {
+    document.getElementById('fhir-questionnaire').addEventListener('click', (event) => {
+        event.preventDefault();
+        downloadQuestionnaire();
+    });
+    document.getElementById('fhir-import').addEventListener('click', () => {
+        importQuestionnaireResponse(document.getElementById('fhir-response').value);
+    });
+    const fileInput = document.getElementById('fhir-file');
+    fileInput.addEventListener('change', async () => {
+        if (fileInput.files.length > 0) {
+            const text = await fileInput.files[0].text();
+            document.getElementById('fhir-response').value = text;
+            importQuestionnaireResponse(text);
+            fileInput.value = '';
+        }
+    });
+    document.getElementById('fhir-export').addEventListener('click', exportRiskAssessment);
+}
+
+// Post a protocol message to the host page when embedded (buildMessage: called only then).
+// It is posted to each allowed origin: the browser only delivers it to the parent's actual one.
+function postToHost(buildMessage) {
+    if (!embedOptions || !embedOptions.enabled || window.parent === window) {
+        return;
+    }
+    const message = buildMessage();
+    embedOptions.origins.forEach(origin => window.parent.postMessage(message, origin));
+}
+
+// Host page origins this deployment may be embedded by (embed-origins.json); none when the file is
+// missing or unreadable, so that only the app's own origin is allowed
+async function loadEmbedOrigins() {
+    try {
+        const response = await fetch(EMBED_ORIGINS_URL);
+        if (!response.ok) {
+            return [];
+        }
+        return parseEmbedOrigins(await response.json());
+    } catch (error) {
+        console.warn(`${EMBED_ORIGINS_URL} ignored:`, error.message);
+        return [];
+    }
+}
+
+// Embedded chrome: without the title, and with the disclaimer folded at the top instead of the
+// full box at the bottom (it stays one click away)
+function applyEmbedChrome() {
+    document.body.classList.add('embedded');
+    if (!embedOptions.hideChrome) {
+        return;
+    }
+    document.body.classList.add('embed-minimal');
+
+    const disclaimer = document.querySelector('.disclaimer');
+    const folded = document.createElement('details');
+    folded.className = 'disclaimer embed-disclaimer';
+    folded.innerHTML = `<summary ${i18nAttributes('disclaimer.title')}>${escapeHtml(t('disclaimer.title'))}</summary>`;
+    folded.append(disclaimer.querySelector('p'));
+    disclaimer.remove();
+    document.querySelector('.header').after(folded);
+}
+
+// Apply a message from the host page (see embed-protocol.js). Messages from another window or
+// from an origin that is not listed in the URL are ignored; replies go to the sender only.
+function handleHostMessage(event) {
+    if (event.source !== window.parent || !isAllowedOrigin(embedOptions, event.origin)) {
+        return;
+    }
+    const reply = (message) => event.source.postMessage(message, event.origin);
+
+    let message;
+    try {
+        message = parseHostMessage(event.data, modelData.variables, isSupportedLocale);
+    } catch (error) {
+        if (error instanceof EmbedError) {
+            console.warn('Host message rejected:', error.message);
+            reply(errorMessage(error.code, error.message, event.data.id ?? null));
+            return;
+        }
+        throw error;
+    }
+    if (!message) {
+        return;
+    }
+    // The type only: set messages carry the patient's answers
+    console.log(`Host message: ${message.type}`);
+
+    if (message.type === MESSAGE_TYPES.getResult) {
+        const formData = collectFormData();
+        try {
+            reply(resultMessage(modelData, formData, calculateProbability(formData), message.id));
+        } catch (error) {
+            reply(errorMessage('calculation_failed', error.message, message.id));
+        }
+        return;
+    }
+
+    if (message.type === MESSAGE_TYPES.clear) {
+        clearAssessment();
+        postToHost(() => resultMessage(modelData, collectFormData(), null, message.id));
+        return;
+    }
+
+    // 'set': every field is optional; the new result is posted as usual by autoCalculate
+    if (message.language) {
+        updateLanguage(message.language);
+    }
+    if (message.targetPrevalence !== null) {
+        restoreLinkPrevalence({
+            prevalence: String(+(message.targetPrevalence * 100).toFixed(2)),
+            range: null,
+            beta: null,
+            presetId: null
+        });
+    }
+    if (message.answers) {
+        setFormData(message.replaceAnswers ? message.answers : { ...collectFormData(), ...message.answers });
     }
+    autoCalculate();
+}
+
+// Listen to the host page and tell it the form is ready to receive answers
+function initEmbedHost() {
+    window.addEventListener('message', handleHostMessage);
+    postToHost(() => readyMessage(modelData, LOCALES.map(locale => locale.code)));
+}
+
+// Register the service worker that makes the app work offline
+// Updates (new app files or a new model.json version) are announced, never applied mid-session
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    navigator.serviceWorker.register('sw.js').then(registration => {
+        // New app files: a new worker waits until the user accepts the update
+        const offerShellUpdate = (worker) => {
+            showUpdateNotice('update.shell', {}, () => worker.postMessage({ type: 'skip-waiting' }));
+        };
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            offerShellUpdate(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    offerShellUpdate(worker);
+                }
+            });
+        });
+
+        // New model.json: the worker compares metadata.version with the cached copy
+        if (navigator.serviceWorker.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'check-model-update' });
+        }
+    }).catch(error => {
+        console.error('Service worker registration failed:', error);
+    });
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        const message = event.data || {};
+        if (message.type === 'model-update-available') {
+            console.log(`Model update available: ${message.currentVersion} -> ${message.latestVersion}`);
+            showUpdateNotice(
+                'update.model',
+                { latest: message.latestVersion, current: message.currentVersion },
+                () => navigator.serviceWorker.controller.postMessage({ type: 'apply-model-update' })
+            );
+        } else if (message.type === 'model-update-applied') {
+            window.location.reload();
+        }
+    });
+
+    // Reload once the accepted new worker takes over
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!reloading) {
+            reloading = true;
+            window.location.reload();
+        }
+    });
+}
+
+// Show the "update available" banner; the update only happens when the user clicks
+function showUpdateNotice(key, params, onAccept) {
+    const notice = document.getElementById('update-notice');
+    const text = document.getElementById('update-notice-text');
+    const button = document.getElementById('update-notice-button');
+
+    text.dataset.i18n = key;
+    text.dataset.i18nParams = JSON.stringify(params);
+    text.textContent = t(key, params);
+    button.onclick = () => {
+        button.disabled = true;
+        onAccept();
+    };
+    notice.style.display = 'flex';
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', async function() {
+    // Interface language first, so that even a model loading error is shown translated
+    // (last choice, else the browser language, else English; ?dev marks texts falling back to English)
+    setDevMode(new URLSearchParams(window.location.search).has('dev'));
+    await loadCatalogs();
+    initLanguageSelect();
+    updateLanguage(initialLocale(localStorage, navigator.languages || [navigator.language]));
+
+    const embedRequested = new URLSearchParams(window.location.search).get(EMBED_QUERY_PARAM) === '1';
+    embedOptions = readEmbedOptions(window.location.search, window.location.origin,
+        embedRequested ? await loadEmbedOrigins() : []);
+    if (embedOptions.ignoredOrigins.length > 0) {
+        console.warn(`Origins not allowed by ${EMBED_ORIGINS_URL}, ignored:`, embedOptions.ignoredOrigins);
+    }
+    if (embedOptions.enabled) {
+        applyEmbedChrome();
+    }
+
+    registerServiceWorker();
+
+    registry = await loadRegistry();
+    initModelSelect();
+    const loaded = await loadModel();
+
+    if (!loaded) {
+        postToHost(() => errorMessage('model_unavailable', 'The model could not be loaded'));
+        return;
+    }
+
+    // Load saved prevalence value and confidence level
+    loadSavedPrevalence();
+    loadSavedConfidenceLevel();
+
+    const form = document.getElementById('assessment-form');
+    form.addEventListener('submit', handleSubmit);
+
+    // Enable auto-mode: hide submit button
+    const buttonGroup = document.querySelector('.button-group');
+    if (buttonGroup) {
+        buttonGroup.classList.add('auto-mode');
+    }
+
+    // Generate the variable fields from model.json
+    const orderByImportance = document.getElementById('order-by-importance');
+    orderByImportance.checked = localStorage.getItem('order_by_importance') === 'true';
+    renderForm();
+    orderByImportance.addEventListener('change', () => {
+        localStorage.setItem('order_by_importance', orderByImportance.checked);
+        renderForm();
+    });
+
+    // Auto-calculation for the generated fields (delegated, so re-rendering keeps it working)
+    const variablesContainer = document.getElementById('variables-container');
+    variablesContainer.addEventListener('change', (event) => {
+        if (event.target.type === 'radio') {
+            console.log(`Radio changed: ${event.target.name} = ${event.target.value}`);
+            autoCalculate();
+        }
+    });
+    variablesContainer.addEventListener('keydown', handleAnswerShortcut);
+
+    // Numeric inputs are debounced
+    const debouncedNumericCalculate = debounce((input) => {
+        console.log(`Numeric input changed: ${input.name} = ${input.value}`);
+        autoCalculate();
+    }, 500);
+    variablesContainer.addEventListener('input', (event) => {
+        if (event.target.type === 'number') {
+            debouncedNumericCalculate(event.target);
+        }
+    });
 
     // Add auto-calculation to prevalence input (with debounce)
     const prevalenceInput = document.getElementById('target_prevalence');
     if (prevalenceInput) {
         prevalenceInput.addEventListener('input', debounce(() => {
             console.log(`Prevalence changed: ${prevalenceInput.value}%`);
+            clearActivePreset();
             savePrevalence(prevalenceInput.value);
             autoCalculate();
         }, 500));
     }
 
-    // Language toggle
-    const languageSelect = document.getElementById('language-select');
-    if (languageSelect) {
-        languageSelect.addEventListener('change', function() {
-            const lang = this.value;
-            updateLanguage(lang);
-            // Re-display results with new language if they exist
-            const resultsDiv = document.getElementById('results');
-            if (resultsDiv.style.display === 'block') {
-                autoCalculate();
-            }
+    initPrevalencePresets();
+
+    // Confidence level
+    const levelSelect = document.getElementById('ci_level');
+    if (levelSelect) {
+        levelSelect.addEventListener('change', () => {
+            console.log(`Confidence level changed: ${levelSelect.value}`);
+            saveConfidenceLevel(levelSelect.value);
+            autoCalculate();
         });
     }
+
+    initThresholds();
+    await initComparison();
+
+    // Shareable state: restore an assessment from the link, then keep the link up to date
+    document.getElementById('copy-link').addEventListener('click', copyLink);
+    document.getElementById('clear-form').addEventListener('click', clearAssessment);
+    window.addEventListener('hashchange', () => {
+        if (restoreUrlState()) {
+            autoCalculate();
+        }
+    });
+    if (restoreUrlState()) {
+        autoCalculate();
+    }
+
+    initBatchMode();
+    initHistory();
+    initFhir();
+    if (embedOptions.enabled) {
+        initEmbedHost();
+    }
 });
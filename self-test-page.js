@@ -0,0 +1,148 @@
+// Sexual Abuse Suspicion Score - Engine self-test page
+// Loads the model version the app would load (?model=<version>), validates it and scores the
+// reference cases written by export_web_model.R, listing every case with R's values and the engine's.
+
+import { validateModel } from './model-validation.js';
+import { runSelfTest } from './self-test.js';
+import { MODEL_QUERY_PARAM, loadRegistry, findRegistryEntry } from './model-registry.js';
+import { loadCatalogs, setLocale, getLocale, setDevMode, initialLocale, t, formatNumber, formatPercent } from './i18n.js';
+import { escapeHtml } from './dom-helpers.js';
+
+// Probabilities are shown with enough digits to see differences at the tolerance
+const formatReference = (value) => typeof value === 'number' ? formatNumber(value, 5) : '–';
+
+function statusBox(kind, text) {
+    const icon = kind === 'pass' ? '✓' : kind === 'fail' ? '✗' : 'ℹ';
+    return `<p class="self-test-status ${kind}" role="status"><span aria-hidden="true">${icon}</span> ${text}</p>`;
+}
+
+// Answers of a case, e.g. "violence: Yes, work_disability_months: 12"
+function describeInputs(modelData, inputs) {
+    return Object.entries(inputs).map(([id, value]) => {
+        const variable = modelData.variables.find(v => v.id === id);
+        const text = variable && variable.type === 'boolean'
+            ? t(value ? 'form.yes' : 'form.no')
+            : formatNumber(value, 0);
+        return `${escapeHtml(id)}: ${escapeHtml(text)}`;
+    }).join('<br>');
+}
+
+function renderCases(modelData, report) {
+    const rows = report.cases.map(result => {
+        const expected = result.expected;
+        const actual = result.actual;
+        const interval = (values) => values
+            ? `${formatReference(values.probability)}<br>[${formatReference(values.ci_lower)}–${formatReference(values.ci_upper)}]`
+            : '–';
+        const engineModel = actual && actual.model !== expected.model
+            ? `<br><code>${escapeHtml(actual.model)}</code>`
+            : '';
+
+        return `
+            <tr>
+                <td class="numeric-cell">${result.index + 1}</td>
+                <td><code>${escapeHtml(expected.model ?? '?')}</code></td>
+                <td>${describeInputs(modelData, result.inputs)}</td>
+                <td class="numeric-cell">${formatPercent(result.targetPrevalence)}</td>
+                <td class="numeric-cell">${formatPercent(result.ciLevel, 0)}</td>
+                <td class="numeric-cell">${interval(expected)}</td>
+                <td class="numeric-cell">${interval(actual)}${engineModel}${result.error ? `<br>${escapeHtml(result.error)}` : ''}</td>
+                <td class="numeric-cell">${Number.isFinite(result.maxDifference) ? result.maxDifference.toExponential(1) : '–'}</td>
+                <td class="${result.pass ? 'pass' : 'fail'}">
+                    <span aria-hidden="true">${result.pass ? '✓' : '✗'}</span> ${t(result.pass ? 'selfTest.passed' : 'selfTest.failed')}
+                </td>
+            </tr>`;
+    }).join('');
+
+    return `
+        <table class="self-test-table">
+            <thead>
+                <tr>
+                    <th>#</th>
+                    <th>${t('selfTest.subset')}</th>
+                    <th>${t('selfTest.answers')}</th>
+                    <th>${t('selfTest.prevalence')}</th>
+                    <th>${t('selfTest.level')}</th>
+                    <th>${t('selfTest.expected')}</th>
+                    <th>${t('selfTest.engine')}</th>
+                    <th>${t('selfTest.difference')}</th>
+                    <th>${t('selfTest.result')}</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+// Load, validate and self-test the model, then show the report
+async function runPage() {
+    const container = document.getElementById('self-test');
+    const registry = await loadRegistry();
+    const requested = new URLSearchParams(window.location.search).get(MODEL_QUERY_PARAM);
+    const entry = findRegistryEntry(registry, requested);
+
+    if (!entry) {
+        const available = registry.models.map(model => model.version).join(', ');
+        container.innerHTML = statusBox('fail', escapeHtml(t('validation.model_version_unknown', { version: requested, available })));
+        return;
+    }
+
+    let modelData;
+    try {
+        const response = await fetch(entry.file);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        modelData = await response.json();
+    } catch (error) {
+        container.innerHTML = statusBox('fail', escapeHtml(t('validation.load_failed', { error: error.message })));
+        return;
+    }
+
+    const version = (modelData.metadata && modelData.metadata.version) ?? entry.version ?? '?';
+    const header = `
+        <p>${t('selfTest.intro')}</p>
+        <p class="explanation-note">${t('selfTest.model', { file: `<code>${escapeHtml(entry.file)}</code>`, version: escapeHtml(version) })}</p>`;
+
+    const validation = validateModel(modelData);
+    if (!validation.valid) {
+        container.innerHTML = header + statusBox('fail', t('selfTest.invalid')) + `
+            <ul>
+                ${validation.errors.map(issue => `
+                    <li><code>${escapeHtml(issue.path)}</code>: ${escapeHtml(t(`validation.${issue.code}`, issue.params))}</li>
+                `).join('')}
+            </ul>`;
+        return;
+    }
+
+    const report = runSelfTest(modelData);
+    console.log('Engine self-test:', report);
+
+    if (report.total === 0) {
+        container.innerHTML = header + statusBox('info', t('selfTest.noCases'));
+        return;
+    }
+
+    const summary = t('selfTest.summary', {
+        passed: report.passed,
+        total: report.total,
+        tolerance: formatNumber(report.tolerance, 3)
+    });
+    container.innerHTML = header +
+        statusBox(report.failed === 0 ? 'pass' : 'fail', `${summary} ${t(report.failed === 0 ? 'selfTest.allPassed' : 'selfTest.someFailed')}`) +
+        renderCases(modelData, report);
+}
+
+document.addEventListener('DOMContentLoaded', async function() {
+    setDevMode(new URLSearchParams(window.location.search).has('dev'));
+    await loadCatalogs();
+    setLocale(initialLocale(localStorage, navigator.languages || [navigator.language]));
+    document.documentElement.lang = getLocale();
+    document.title = t('selfTest.title');
+    document.getElementById('self-test-title').textContent = t('selfTest.title');
+
+    const back = document.getElementById('self-test-back');
+    back.href = `index.html${window.location.search}`;
+    back.textContent = `← ${t('selfTest.back')}`;
+
+    await runPage();
+});
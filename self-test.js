@@ -0,0 +1,78 @@
+// Sexual Abuse Suspicion Score - Engine self-test
+// export_web_model.R writes reference cases into model.json: answers, target prevalence and
+// confidence level, with the subset model, probability and CI bounds computed in R by logistf and
+// calculate_prediction_ci. Scoring them again here checks that the JavaScript engine reproduces R
+// (coefficient names, coefficient / covariance order, prevalence adjustment, interval).
+
+import { createScorer } from './scorer.js';
+
+// Absolute tolerance on the probability and on each bound. model.json is written with 6 decimals,
+// which can move a bound by a few 1e-4 for large numeric answers (e.g. 120 months); a mismatched
+// coefficient or covariance entry moves it far more.
+export const SELF_TEST_TOLERANCE = 1e-3;
+
+const COMPARED_FIELDS = ['probability', 'ci_lower', 'ci_upper'];
+
+// Score one reference case and compare it with R's values
+function checkCase(scorer, referenceCase, index, tolerance) {
+    const expected = referenceCase.expected || {};
+    const targetPrevalence = referenceCase.target_prevalence;
+    const ciLevel = referenceCase.ci_level ?? 0.95;
+    let actual = null;
+    let error = null;
+
+    try {
+        const result = scorer.score(referenceCase.inputs || {}, { targetPrevalence, ciLevel });
+        if (result) {
+            actual = {
+                model: result.selectedModel,
+                probability: result.probability,
+                ci_lower: result.confidenceInterval.lower,
+                ci_upper: result.confidenceInterval.upper
+            };
+        }
+    } catch (caught) {
+        error = caught.message;
+    }
+
+    const differences = {};
+    COMPARED_FIELDS.forEach(field => {
+        differences[field] = actual && typeof expected[field] === 'number' && typeof actual[field] === 'number'
+            ? Math.abs(actual[field] - expected[field])
+            : null;
+    });
+    const pass = actual !== null &&
+        actual.model === expected.model &&
+        COMPARED_FIELDS.every(field => differences[field] !== null && differences[field] <= tolerance);
+
+    return {
+        index,
+        inputs: referenceCase.inputs || {},
+        targetPrevalence,
+        ciLevel,
+        expected,
+        actual,
+        differences,
+        maxDifference: Math.max(...COMPARED_FIELDS.map(field => differences[field] ?? Infinity)),
+        error,
+        pass
+    };
+}
+
+// Run every reference case of a validated model.json.
+// Returns { total, passed, failed, tolerance, cases }; total is 0 when the file has no reference cases
+// (exported before they were added), which is reported but is not a failure.
+export function runSelfTest(modelData, tolerance = SELF_TEST_TOLERANCE) {
+    const referenceCases = Array.isArray(modelData.reference_cases) ? modelData.reference_cases : [];
+    const scorer = createScorer(modelData);
+    const cases = referenceCases.map((referenceCase, index) => checkCase(scorer, referenceCase, index, tolerance));
+    const failed = cases.filter(result => !result.pass).length;
+
+    return {
+        total: cases.length,
+        passed: cases.length - failed,
+        failed,
+        tolerance,
+        cases
+    };
+}
@@ -0,0 +1,180 @@
+// Sexual Abuse Suspicion Score - Service worker
+// Precaches the whole app so it works offline with zero third-party requests.
+// A newly deployed model.json is never swapped in silently: the page is told an update
+// is available and the new model is only installed when the user accepts it.
+
+// Bump when any precached file other than model.json and models.json changes, so browsers install the new shell
+const SHELL_CACHE = 'abuse-score-shell-v37';
+// Holds a newly downloaded model.json until the user accepts the update
+const PENDING_CACHE = 'abuse-score-pending-model';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'self-test.html',
+    'script.js',
+    'scorer.js',
+    'batch.js',
+    'model-validation.js',
+    'prevalence-presets.js',
+    'url-state.js',
+    'model-registry.js',
+    'self-test.js',
+    'self-test-page.js',
+    'model-explorer.html',
+    'model-explorer.js',
+    'model-explorer-page.js',
+    'recalibration.html',
+    'recalibration.js',
+    'recalibration-page.js',
+    'history-store.js',
+    'embed-protocol.js',
+    'fhir.js',
+    'i18n.js',
+    'dom-helpers.js',
+    'locales/fr.json',
+    'locales/en.json',
+    'locales/es.json',
+    'locales/de.json',
+    'locales/it.json',
+    'models.json',
+    'model.json',
+    'vendor/water.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+const MODEL_URL = new URL('model.json', self.registration.scope).href;
+// The export that produces a new model.json also archives the previous one in models.json,
+// so the version list is updated together with the model
+const REGISTRY_URL = new URL('models.json', self.registration.scope).href;
+// Site files, changed whenever the site chooses: the optional recalibration overlay, and the host
+// origins allowed to embed the app
+const SITE_FILE_URLS = ['recalibration.json', 'embed-origins.json']
+    .map(file => new URL(file, self.registration.scope).href);
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE).then(cache =>
+            // Bypass the HTTP cache so a new shell never precaches stale files
+            cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+        )
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key !== SHELL_CACHE && key !== PENDING_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Cache first for same-origin GET requests (query strings are ignored, e.g. index.html?lang=en)
+// Archived model versions (models/model-<version>.json) never change once exported, so they are
+// added to the cache the first time they are used and then work offline too
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+
+    // Site files: network first so a change is picked up, the last copy when offline
+    if (SITE_FILE_URLS.includes(url.href)) {
+        event.respondWith(
+            fetch(request).then(response => {
+                const copy = response.ok ? response.clone() : null;
+                caches.open(SHELL_CACHE).then(cache => (copy ? cache.put(request, copy) : cache.delete(request)));
+                return response;
+            }).catch(() => caches.match(request, { cacheName: SHELL_CACHE }).then(cached => cached || Response.error()))
+        );
+        return;
+    }
+
+    const archivedModel = url.pathname.startsWith(new URL('models/', self.registration.scope).pathname);
+    event.respondWith(
+        caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true }).then(cached => {
+            if (cached || !archivedModel) {
+                return cached || fetch(request);
+            }
+            return fetch(request).then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(SHELL_CACHE).then(cache => cache.put(request, copy));
+                }
+                return response;
+            });
+        })
+    );
+});
+
+async function modelVersion(response) {
+    try {
+        const data = await response.clone().json();
+        return data.metadata ? data.metadata.version : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Download the deployed model.json and compare its metadata.version with the cached one
+async function checkModelUpdate() {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(MODEL_URL);
+    const latest = await fetch(MODEL_URL, { cache: 'no-store' });
+    if (!cached || !latest.ok) {
+        return null;
+    }
+
+    const currentVersion = await modelVersion(cached);
+    const latestVersion = await modelVersion(latest);
+    if (latestVersion === null || latestVersion === currentVersion) {
+        return null;
+    }
+
+    const pending = await caches.open(PENDING_CACHE);
+    await pending.put(MODEL_URL, latest);
+    const registry = await fetch(REGISTRY_URL, { cache: 'no-store' }).catch(() => null);
+    if (registry && registry.ok) {
+        await pending.put(REGISTRY_URL, registry);
+    }
+    return { currentVersion, latestVersion };
+}
+
+// Move the pending model.json (and models.json) into the app cache
+async function applyModelUpdate() {
+    const pending = await caches.open(PENDING_CACHE);
+    const cache = await caches.open(SHELL_CACHE);
+    for (const url of [MODEL_URL, REGISTRY_URL]) {
+        const response = await pending.match(url);
+        if (response) {
+            await cache.put(url, response);
+            await pending.delete(url);
+        }
+    }
+}
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+    const reply = (data) => event.source && event.source.postMessage(data);
+
+    if (message.type === 'check-model-update') {
+        event.waitUntil(
+            checkModelUpdate()
+                .then(update => {
+                    if (update) {
+                        reply({ type: 'model-update-available', ...update });
+                    }
+                })
+                // Offline: keep using the cached model
+                .catch(() => {})
+        );
+    } else if (message.type === 'apply-model-update') {
+        event.waitUntil(applyModelUpdate().then(() => reply({ type: 'model-update-applied' })));
+    } else if (message.type === 'skip-waiting') {
+        self.skipWaiting();
+    }
+});
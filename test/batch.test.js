@@ -0,0 +1,58 @@
+// Batch scoring: CSV records keep the line numbers of the file
+// Run with `npm test` (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { createScorer } from '../scorer.js';
+import { parseCsv, scoreRows, buildResultRows, RESULT_COLUMNS } from '../batch.js';
+
+const modelData = JSON.parse(await readFile(new URL('../model.json', import.meta.url), 'utf8'));
+const scorer = createScorer(modelData);
+
+test('parseCsv numbers records by their line in the file', () => {
+    const text = 'id;antidepressants\r\np1;yes\r\n\r\n;\r\np2;"multi\nline"\np3;no\n';
+    const records = parseCsv(text);
+    assert.deepEqual(records.map(record => record.line), [1, 2, 4, 5, 7]);
+    assert.deepEqual(records[2].cells, ['', '']);
+    assert.deepEqual(records[3].cells, ['p2', 'multi\nline']);
+});
+
+test('scoreRows keeps blank and all-empty rows and reports the right lines', () => {
+    const header = ['id', ...scorer.variables.map(variable => variable.id)].join(';');
+    const empty = ';'.repeat(scorer.variables.length);
+    const text = [
+        header,
+        'p1;yes;;;;;;',
+        '',
+        empty,
+        'p2;maybe;;;;;;',
+        '',
+        'p3;no;no;;;;;2'
+    ].join('\n') + '\n';
+
+    const batch = scoreRows(scorer, parseCsv(text));
+    assert.deepEqual(batch.results.map(row => row.line), [2, 4, 5, 7]);
+    assert.deepEqual(batch.errors.map(error => error.line), [4, 5]);
+    assert.equal(batch.errors[0].message, 'no known variable');
+    assert.ok(batch.errors[1].message.startsWith('antidepressants:'));
+    assert.deepEqual(batch.errors.map(error => error.issues), [
+        [{ code: 'no_known_variable', params: {} }],
+        [{ code: 'not_yes_no', params: { variable: 'antidepressants', value: 'maybe' } }]
+    ]);
+
+    // The all-empty row stays in the result file, unscored, with its status
+    const rows = buildResultRows(batch);
+    assert.equal(rows.length, 5);
+    assert.equal(rows[2][rows[0].indexOf('error')], 'no known variable');
+    assert.equal(rows[2][rows[0].indexOf('probability')], '');
+    assert.equal(rows[4].length, batch.header.length + RESULT_COLUMNS.length);
+    assert.notEqual(rows[4][rows[0].indexOf('probability')], '');
+});
+
+test('scoreRows reports file-level errors with a code', () => {
+    assert.throws(() => scoreRows(scorer, []), error => error.details.code === 'empty_file');
+    assert.throws(() => scoreRows(scorer, parseCsv('id,name\n1,x\n')),
+        error => error.details.code === 'no_matching_column' && error.details.expected.includes('antidepressants'));
+});
@@ -0,0 +1,53 @@
+// Embedded mode: origins allowed by the deployment, and host messages
+// Run with `npm test` (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { readEmbedOptions, parseEmbedOrigins, isAllowedOrigin, parseHostMessage, EmbedError, MESSAGE_TYPES } from '../embed-protocol.js';
+
+const OWN = 'https://score.example';
+
+test('parseEmbedOrigins keeps well-formed origins only', () => {
+    assert.deepEqual(parseEmbedOrigins({ origins: ['https://ehr.example', 'https://ehr.example/path', 42, '*'] }),
+        ['https://ehr.example']);
+    assert.deepEqual(parseEmbedOrigins(null), []);
+    assert.deepEqual(parseEmbedOrigins({ origins: 'https://ehr.example' }), []);
+});
+
+test('readEmbedOptions ignores ?origin= values the deployment does not allow', () => {
+    const options = readEmbedOptions('?embed=1&origin=https://ehr.example,https://evil.example', OWN, ['https://ehr.example']);
+    assert.equal(options.enabled, true);
+    assert.deepEqual(options.origins, ['https://ehr.example']);
+    assert.deepEqual(options.ignoredOrigins, ['https://evil.example']);
+    assert.equal(isAllowedOrigin(options, 'https://evil.example'), false);
+});
+
+test('readEmbedOptions falls back to the own origin', () => {
+    const notAllowed = readEmbedOptions('?embed=1&origin=https://evil.example', OWN);
+    assert.deepEqual(notAllowed.origins, [OWN]);
+    assert.deepEqual(notAllowed.ignoredOrigins, ['https://evil.example']);
+
+    const none = readEmbedOptions('?embed=1&chrome=minimal', OWN, ['https://ehr.example']);
+    assert.deepEqual(none.origins, [OWN]);
+    assert.equal(none.hideChrome, true);
+
+    const own = readEmbedOptions(`?embed=1&origin=${OWN}`, OWN);
+    assert.deepEqual(own.origins, [OWN]);
+    assert.deepEqual(own.ignoredOrigins, []);
+});
+
+test('parseHostMessage checks answers against the variables', () => {
+    const variables = [{ id: 'a', type: 'boolean' }, { id: 'months', type: 'numeric', min: 0, max: 120 }];
+    const isLanguage = code => code === 'fr';
+
+    assert.equal(parseHostMessage({ type: 'other' }, variables, isLanguage), null);
+    const parsed = parseHostMessage({ type: MESSAGE_TYPES.set, id: 7, answers: { a: true, months: 6 } }, variables, isLanguage);
+    assert.equal(parsed.id, 7);
+    assert.deepEqual(parsed.answers, { a: true, months: 6 });
+
+    assert.throws(() => parseHostMessage({ type: MESSAGE_TYPES.set, answers: { months: 200 } }, variables, isLanguage),
+        error => error instanceof EmbedError && error.code === 'invalid_answer');
+    assert.throws(() => parseHostMessage({ type: MESSAGE_TYPES.set, answers: { b: true } }, variables, isLanguage),
+        error => error instanceof EmbedError && error.code === 'unknown_variable');
+});
@@ -0,0 +1,57 @@
+// FHIR: a QuestionnaireResponse written by the tool reads back as the same answers
+// Run with `npm test` (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { createScorer } from '../scorer.js';
+import {
+    buildQuestionnaireResponse, readQuestionnaireResponse, buildRiskAssessment, validateResource, ANSWER_CODES
+} from '../fhir.js';
+
+const modelData = JSON.parse(await readFile(new URL('../model.json', import.meta.url), 'utf8'));
+
+const answers = {
+    antidepressants: true,
+    depression: false,
+    benzodiazepines: null,
+    suicide_attempt: null,
+    violence: true,
+    gynecological: false,
+    work_disability_months: 6
+};
+
+test('QuestionnaireResponse round trip keeps every answer, unknowns included', () => {
+    const subject = { reference: 'Patient/example' };
+    const response = buildQuestionnaireResponse(modelData, answers, { authored: '2025-12-04T10:00:00Z', subject });
+    assert.deepEqual(validateResource(response, 'QuestionnaireResponse'), []);
+
+    const read = readQuestionnaireResponse(modelData, JSON.parse(JSON.stringify(response)));
+    assert.deepEqual(read.answers, answers);
+    assert.deepEqual(read.subject, subject);
+    assert.deepEqual(read.issues, []);
+});
+
+test('an unusable answer is reported and read as unknown', () => {
+    const response = buildQuestionnaireResponse(modelData, answers);
+    const item = response.item.find(found => found.linkId === 'antidepressants');
+    item.answer = [{ valueCoding: { system: 'http://loinc.org', code: 'LA0000-0' } }];
+    assert.notEqual(item.answer[0].valueCoding.code, ANSWER_CODES.yes);
+
+    const read = readQuestionnaireResponse(modelData, response);
+    assert.equal(read.answers.antidepressants, null);
+    assert.equal(read.answers.violence, true);
+    assert.ok(read.issues.length > 0 && read.issues.every(found => found.severity === 'warning'));
+});
+
+test('RiskAssessment contains the answers and passes the R4 checks', () => {
+    const result = createScorer(modelData).score(answers, { targetPrevalence: 0.25 });
+    const texts = { code: 'code', outcome: 'outcome', level: 'level', method: 'method', note: 'note' };
+    const assessment = buildRiskAssessment(modelData, result, {
+        subject: { reference: 'Patient/example' }, occurrence: '2025-12-04T10:00:00Z', texts
+    });
+    assert.deepEqual(validateResource(assessment, 'RiskAssessment'), []);
+    assert.equal(assessment.prediction[0].probabilityDecimal, result.probability);
+    assert.deepEqual(readQuestionnaireResponse(modelData, assessment.contained[0]).answers, answers);
+});
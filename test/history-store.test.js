@@ -0,0 +1,106 @@
+// Encrypted history: round trip, wrong passphrase and import validation, on an in-memory IndexedDB
+// Run with `npm test` (node --test)
+
+import 'fake-indexeddb/auto';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { unlockHistory, historyExists, wipeHistory, HistoryError, HISTORY_DB_NAME, HISTORY_FORMAT } from '../history-store.js';
+
+const entry = { label: 'P-017', date: '2025-12-04T10:00:00.000Z', probability: 0.42 };
+
+// The records as stored, without decrypting them
+function readRawEntries() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(HISTORY_DB_NAME);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => {
+            const db = request.result;
+            const getAll = db.transaction('entries').objectStore('entries').getAll();
+            getAll.onsuccess = () => {
+                db.close();
+                resolve(getAll.result);
+            };
+        };
+    });
+}
+
+const historyError = (code) => (error) => error instanceof HistoryError && error.code === code;
+
+beforeEach(() => wipeHistory());
+
+test('entries are stored encrypted and read back with the passphrase', async () => {
+    assert.equal(await historyExists(), false);
+    const session = await unlockHistory('correct horse');
+    const saved = await session.add(entry);
+    assert.equal(typeof saved.id, 'number');
+    session.close();
+
+    const raw = await readRawEntries();
+    assert.equal(raw.length, 1);
+    assert.deepEqual(Object.keys(raw[0]).sort(), ['data', 'id', 'iv']);
+    assert.ok(!JSON.stringify(raw).includes('P-017'));
+
+    assert.equal(await historyExists(), true);
+    const reopened = await unlockHistory('correct horse');
+    assert.deepEqual(await reopened.list(), [{ ...entry, id: saved.id }]);
+    reopened.close();
+});
+
+test('a wrong passphrase is rejected with wrong_passphrase', async () => {
+    (await unlockHistory('correct horse')).close();
+    await assert.rejects(unlockHistory('battery staple'), historyError('wrong_passphrase'));
+});
+
+test('an exported file imports into another history with the same passphrase', async () => {
+    const session = await unlockHistory('correct horse');
+    await session.add(entry);
+    const file = JSON.parse(JSON.stringify(await session.exportFile()));
+    session.close();
+    assert.equal(file.format, HISTORY_FORMAT);
+
+    // Another browser: a new history, with its own salt
+    await wipeHistory();
+    const other = await unlockHistory('correct horse');
+    assert.equal(await other.importFile(file), 1);
+    const [imported] = await other.list();
+    assert.equal(imported.label, entry.label);
+    other.close();
+});
+
+test('importFile rejects files that are not a valid export', async () => {
+    const session = await unlockHistory('correct horse');
+    await session.add(entry);
+    const file = JSON.parse(JSON.stringify(await session.exportFile()));
+
+    const invalid = [
+        null,
+        { ...file, format: 'other' },
+        { ...file, entries: undefined },
+        { ...file, salt: 12 },
+        { ...file, iterations: 0 },
+        { ...file, iterations: -600000 },
+        { ...file, iterations: 1.5 },
+        { ...file, iterations: 1e12 },
+        { ...file, check: undefined },
+        { ...file, entries: [{ iv: file.entries[0].iv, data: file.check.data }] }
+    ];
+    for (const candidate of invalid) {
+        await assert.rejects(session.importFile(candidate), historyError('invalid_file'));
+    }
+    assert.equal((await session.list()).length, 1);
+    session.close();
+});
+
+test('importFile rejects a file made with another passphrase with wrong_passphrase', async () => {
+    const session = await unlockHistory('battery staple');
+    await session.add(entry);
+    const file = JSON.parse(JSON.stringify(await session.exportFile()));
+    session.close();
+
+    await wipeHistory();
+    const other = await unlockHistory('correct horse');
+    await assert.rejects(other.importFile(file), historyError('wrong_passphrase'));
+    assert.deepEqual(await other.list(), []);
+    other.close();
+});
@@ -0,0 +1,164 @@
+// Site recalibration: cohort reading, logistic fit, AUC, calibration metrics and overlay validation
+// Run with `npm test` (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import {
+    readCohort, fitLogistic, areaUnderCurve, calibrationGroups, calibrationMetrics, fitRecalibration, validateOverlay,
+    RECALIBRATION_FORMAT, RECALIBRATION_FORMAT_VERSION
+} from '../recalibration.js';
+import { createScorer, InvalidInputError } from '../scorer.js';
+import { parseCsv } from '../batch.js';
+
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not ${expected}`);
+
+// Two groups with x = 0 (1 case in 4) and x = 1 (3 cases in 4): the fit is saturated, so
+// intercept = logit(1/4) = -log 3 and slope = logit(3/4) - logit(1/4) = 2 log 3, and the
+// covariance is the inverse information: var a = 1 / (4 * 1/4 * 3/4) = 4/3, var b = 8/3, cov = -4/3
+const groupX = [0, 0, 0, 0, 1, 1, 1, 1];
+const groupOutcomes = [1, 0, 0, 0, 1, 1, 1, 0];
+
+test('fitLogistic recovers the intercept, slope and covariance of a saturated fit', () => {
+    const fit = fitLogistic(groupOutcomes, groupX);
+    assert.equal(fit.converged, true);
+    close(fit.intercept, -Math.log(3));
+    close(fit.slope, 2 * Math.log(3));
+    close(fit.vcov[0][0], 4 / 3);
+    close(fit.vcov[0][1], -4 / 3);
+    close(fit.vcov[1][1], 8 / 3);
+});
+
+test('fitLogistic with a fixed slope fits only the intercept', () => {
+    // With slope 1 and x = 0 for everyone, the intercept is the log-odds of the outcome
+    const fit = fitLogistic([1, 0, 0, 0], [0, 0, 0, 0], 1);
+    assert.equal(fit.slope, 1);
+    close(fit.intercept, -Math.log(3));
+    close(fit.vcov[0][0], 4 / 3);
+    assert.equal(fit.vcov[1][1], 0);
+});
+
+test('areaUnderCurve counts ties as one half', () => {
+    // Cases 0.35, 0.8, 0.5 against controls 0.1, 0.4, 0.5: 1 + 3 + 2.5 concordant pairs of 9
+    close(areaUnderCurve([0, 0, 1, 1, 0, 1], [0.1, 0.4, 0.35, 0.8, 0.5, 0.5]), 6.5 / 9);
+    assert.equal(areaUnderCurve([0, 1], [0.2, 0.9]), 1);
+    assert.equal(areaUnderCurve([1, 0], [0.2, 0.9]), 0);
+});
+
+test('calibrationGroups cuts the sorted patients into groups of at least 10', () => {
+    const probabilities = Array.from({ length: 25 }, (_, i) => (i + 1) / 26);
+    const outcomes = probabilities.map((p, i) => (i % 2 === 0 ? 1 : 0));
+    const groups = calibrationGroups(outcomes, probabilities);
+    // 25 patients: 2 groups, the first with the 13 lowest probabilities (7 of them cases)
+    assert.deepEqual(groups.map(group => group.n), [13, 12]);
+    close(groups[0].predicted, 7 / 26);
+    close(groups[0].observed, 7 / 13);
+    assert.ok(groups[0].lower < groups[0].observed && groups[0].observed < groups[0].upper);
+});
+
+test('calibrationMetrics of predictions that match the observed proportions', () => {
+    const logits = groupX.map(x => (x === 0 ? -Math.log(3) : Math.log(3)));
+    const metrics = calibrationMetrics(groupOutcomes, logits);
+    assert.equal(metrics.n, 8);
+    assert.equal(metrics.events, 4);
+    close(metrics.observed, 0.5);
+    close(metrics.expected, 0.5);
+    close(metrics.calibrationInTheLarge.estimate, 0);
+    close(metrics.slope.estimate, 1);
+    // Each group: one patient 0.75 away from the prediction, three 0.25 away
+    close(metrics.brier, (0.75 ** 2 + 3 * 0.25 ** 2) / 4);
+    // Of the 16 case / control pairs, 9 are concordant and 6 tied
+    close(metrics.auc, (9 + 6 / 2) / 16);
+});
+
+test('fitRecalibration fits each subset model with enough cases and controls', () => {
+    const observation = (model) => (outcome, i) => ({ line: i + 2, outcome, linearPredictor: groupX[i], model });
+    const cohort = {
+        observations: [
+            ...groupOutcomes.map(observation('a')),
+            ...groupOutcomes.map(observation('b')).slice(4)
+        ]
+    };
+
+    const global = fitRecalibration(cohort);
+    assert.equal(global.scope, 'global');
+    assert.equal(global.global.usable, true);
+    assert.deepEqual(global.subsets.map(subset => [subset.model, subset.reason]), [['a', 'global_scope'], ['b', 'global_scope']]);
+    assert.equal(global.logits.length, 12);
+
+    const subset = fitRecalibration(cohort, 'subset', 3);
+    assert.deepEqual(subset.subsets.map(subset => [subset.model, subset.n, subset.events, subset.reason]),
+        [['a', 8, 4, 'own_fit'], ['b', 4, 3, 'too_few_outcomes']]);
+    close(subset.subsets[0].fit.intercept, -Math.log(3));
+    close(subset.subsets[0].fit.slope, 2 * Math.log(3));
+    // Subset b is recalibrated with the global fit
+    close(subset.logits[8], subset.global.intercept + subset.global.slope * 1);
+});
+
+test('readCohort lists the rows it cannot use, with their line and issue', async () => {
+    const modelJson = JSON.parse(await readFile(new URL('../model.json', import.meta.url), 'utf8'));
+    const text = [
+        'antidepressants;violence;outcome',
+        'yes;no;yes',
+        'no;no;no',
+        'yes;yes;maybe',
+        'no;yes;',
+        'perhaps;no;no',
+        ';;yes',
+        'no;yes;yes'
+    ].join('\n');
+
+    const cohort = readCohort(createScorer(modelJson), parseCsv(text));
+    assert.deepEqual(cohort.observations.map(observation => [observation.line, observation.outcome]), [[2, 1], [3, 0], [8, 1]]);
+    assert.equal(cohort.n, 3);
+    assert.equal(cohort.events, 2);
+    assert.deepEqual(cohort.errors.map(error => [error.line, error.issues[0].code]), [
+        [4, 'not_yes_no'],
+        [5, 'unknown_outcome'],
+        [6, 'not_yes_no'],
+        [7, 'no_known_variable']
+    ]);
+
+    assert.throws(() => readCohort(createScorer(modelJson), parseCsv('antidepressants\nyes\n')), /no "outcome" column/);
+    assert.throws(() => readCohort(createScorer(modelJson), parseCsv('antidepressants;outcome\nyes;yes\nno;yes\n')),
+        /needs both cases and controls/);
+});
+
+const modelData = {
+    metadata: { version: '4.1' },
+    models: { a: {}, a_b: {} }
+};
+
+function overlay(vcov) {
+    return {
+        format: RECALIBRATION_FORMAT,
+        version: RECALIBRATION_FORMAT_VERSION,
+        model_version: '4.1',
+        site: null,
+        scope: 'subset',
+        cohort: { n: 200, events: 50, prevalence: 0.25 },
+        global: { intercept: -0.2, slope: 0.9, vcov: [[0.04, -0.01], [-0.01, 0.02]] },
+        models: { a: { intercept: 0.1, slope: 1.1, vcov } }
+    };
+}
+
+test('validateOverlay accepts a covariance matrix, including a fixed slope', () => {
+    assert.doesNotThrow(() => validateOverlay(overlay([[0.05, 0.02], [0.02, 0.03]]), modelData));
+    assert.doesNotThrow(() => validateOverlay(overlay([[0.05, 0], [0, 0]]), modelData));
+});
+
+test('validateOverlay rejects a vcov that is not a covariance matrix', () => {
+    const invalid = [
+        [[0.05, 0.02], [0.01, 0.03]],
+        [[-0.05, 0], [0, 0.03]],
+        [[0.05, 0], [0, -0.03]],
+        // Non-negative variances, negative determinant: 0.05 * 0.03 - 0.1 * 0.1 < 0
+        [[0.05, 0.1], [0.1, 0.03]]
+    ];
+    invalid.forEach(vcov => {
+        assert.throws(() => validateOverlay(overlay(vcov), modelData), (error) =>
+            error instanceof InvalidInputError && error.message.startsWith('models.a: vcov'));
+    });
+});
@@ -0,0 +1,149 @@
+// Scoring engine: model selection, delta-method interval and prevalence adjustment
+// Run with `npm test` (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    createScorer, findBestModel, modelUnreliability, calculateConfidenceInterval, criticalValue, ModelNotFoundError
+} from '../scorer.js';
+import { runSelfTest } from '../self-test.js';
+
+const invLogit = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+// Two yes/no variables; the model on both is too small to be used, so it falls back to a nested one
+function subsetModel(variables, coefficients, vcov, counts) {
+    const names = Object.keys(coefficients);
+    return {
+        variables,
+        coefficients,
+        coefficient_vcov: Object.fromEntries(names.map((row, i) =>
+            [row, Object.fromEntries(names.map((column, j) => [column, vcov[i][j]]))])),
+        n_obs: counts.abuse + counts.control,
+        n_abuse: counts.abuse,
+        n_control: counts.control,
+        auc: counts.auc,
+        converged: true,
+        typical_ci_width: 0.2,
+        n_coefficients: variables.length,
+        coefficient_se: Object.fromEntries(names.map((name, i) => [name, Math.sqrt(vcov[i][i])]))
+    };
+}
+
+const modelData = {
+    variables: [
+        { id: 'a', type: 'boolean' },
+        { id: 'b', type: 'boolean' }
+    ],
+    models: {
+        a: subsetModel(['a'], { '(Intercept)': -1, aTRUE: 2 }, [[0.25, -0.1], [-0.1, 0.4]],
+            { abuse: 60, control: 40, auc: 0.7 }),
+        b: subsetModel(['b'], { '(Intercept)': 0.5, bTRUE: -1 }, [[0.2, -0.05], [-0.05, 0.3]],
+            { abuse: 60, control: 40, auc: 0.65 }),
+        a_b: subsetModel(['a', 'b'], { '(Intercept)': -1, aTRUE: 2, bTRUE: 0.5 },
+            [[0.3, -0.1, -0.1], [-0.1, 0.5, 0], [-0.1, 0, 0.5]], { abuse: 30, control: 10, auc: 0.8 })
+    },
+    prevalence_info: { sample_prevalence: 0.5, default_target_prevalence: 0.25 }
+};
+
+test('findBestModel uses the exact subset model when it is reliable', () => {
+    const selected = findBestModel(modelData, ['a']);
+    assert.equal(selected.name, 'a');
+    assert.equal(selected.matchType, 'exact');
+    assert.deepEqual(selected.droppedVariables, []);
+});
+
+test('findBestModel falls back to the best nested model when the exact one is unreliable', () => {
+    const selected = findBestModel(modelData, ['a', 'b']);
+    assert.equal(selected.name, 'a');
+    assert.equal(selected.matchType, 'nested');
+    assert.equal(selected.reason, 'few_observations');
+    assert.equal(selected.exactModel, 'a_b');
+    assert.deepEqual(selected.droppedVariables, ['b']);
+});
+
+test('findBestModel throws ModelNotFoundError without any usable model', () => {
+    const data = { ...modelData, models: { a_b: modelData.models.a_b } };
+    assert.throws(() => findBestModel(data, ['a', 'b']), ModelNotFoundError);
+});
+
+test('calculateConfidenceInterval applies the delta method to the covariance matrix', () => {
+    // x = [1, 1]: Var = 0.25 + 0.4 + 2 * (-0.1) = 0.45
+    const ci = calculateConfidenceInterval(modelData.models.a, { a: true }, 1);
+    const se = Math.sqrt(0.45);
+    assert.equal(ci.method, 'delta');
+    assert.ok(Math.abs(ci.se - se) < 1e-12);
+    assert.ok(Math.abs(ci.lower - invLogit(1 - criticalValue(0.95) * se)) < 1e-12);
+    assert.ok(Math.abs(ci.upper - invLogit(1 + criticalValue(0.95) * se)) < 1e-12);
+
+    // x = [1, 0]: only the intercept variance, plus the prevalence variance on the logit scale
+    const widened = calculateConfidenceInterval(modelData.models.a, { a: false }, -1, 0.95, 0.1);
+    assert.ok(Math.abs(widened.se - Math.sqrt(0.25 + 0.1)) < 1e-12);
+    assert.ok(Math.abs(widened.seCoefficients - 0.5) < 1e-12);
+});
+
+test('criticalValue matches qnorm', () => {
+    assert.ok(Math.abs(criticalValue(0.95) - 1.959964) < 1e-6);
+    assert.ok(Math.abs(criticalValue(0.90) - 1.644854) < 1e-6);
+});
+
+test('score shifts the linear predictor by the prevalence offset', () => {
+    const scorer = createScorer(modelData);
+
+    // At the sample prevalence the probability is the model's own
+    const atSample = scorer.score({ a: true }, { targetPrevalence: 0.5 });
+    assert.ok(Math.abs(atSample.probability - invLogit(1)) < 1e-12);
+
+    // logit(p) = 1 - logit(0.5) + logit(0.25)
+    const atTarget = scorer.score({ a: true }, { targetPrevalence: 0.25 });
+    assert.equal(atTarget.linearPredictor, 1);
+    assert.ok(Math.abs(atTarget.adjustedLinearPredictor - (1 + logit(0.25))) < 1e-12);
+    assert.ok(Math.abs(atTarget.probability - invLogit(1 + logit(0.25))) < 1e-12);
+
+    // The interval is shifted with the estimate, its logit-scale standard error is unchanged
+    assert.ok(Math.abs(atTarget.confidenceInterval.se - atSample.confidenceInterval.se) < 1e-12);
+});
+
+test('score returns null when no variable is known', () => {
+    assert.equal(createScorer(modelData).score({ a: null, b: '' }), null);
+});
+
+test('modelUnreliability reads the convergence status and the coefficient count', () => {
+    const model = { variables: ['a', 'b'], n_obs: 60, n_abuse: 54, n_control: 6, converged: true };
+    assert.equal(modelUnreliability({ ...model, converged: false }), 'not_converged');
+    // 6 controls for 2 coefficients is enough, for 4 it is not
+    assert.equal(modelUnreliability({ ...model, n_coefficients: 2 }), null);
+    assert.equal(modelUnreliability({ ...model, n_coefficients: 4 }), 'few_events');
+    // Exports before the field was renamed
+    assert.equal(modelUnreliability({ ...model, df_residual: 4 }), 'few_events');
+});
+
+test('a reference case on an unreliable subset is checked against the nested model it falls back to', () => {
+    // Answers to a and b: a_b has too few patients, so the app scores them with a (x = [1, 1])
+    const se = Math.sqrt(0.45);
+    const z = criticalValue(0.95);
+    const fallback = { model: 'a', probability: invLogit(1), ci_lower: invLogit(1 - z * se), ci_upper: invLogit(1 + z * se) };
+    const referenceCase = (expected) => ({ inputs: { a: true, b: true }, target_prevalence: 0.5, ci_level: 0.95, expected });
+
+    const passing = runSelfTest({ ...modelData, reference_cases: [referenceCase(fallback)] });
+    assert.equal(passing.failed, 0);
+    assert.equal(passing.cases[0].actual.model, 'a');
+
+    // Expecting the unreliable subset itself fails, which is why export_web_model.R does not sample it
+    const failing = runSelfTest({ ...modelData, reference_cases: [referenceCase({ ...fallback, model: 'a_b' })] });
+    assert.equal(failing.failed, 1);
+    assert.equal(failing.cases[0].error, null);
+});
+
+test('explain gives odds ratio intervals at the confidence level of the result', () => {
+    const scorer = createScorer(modelData);
+    // aTRUE: coefficient 2, SE sqrt(0.4)
+    [0.95, 0.80].forEach(ciLevel => {
+        const explanation = scorer.explain(scorer.score({ a: true }, { ciLevel }));
+        const [term] = explanation.terms;
+        assert.equal(explanation.ciLevel, ciLevel);
+        assert.ok(Math.abs(term.oddsRatioLower - Math.exp(2 - criticalValue(ciLevel) * Math.sqrt(0.4))) < 1e-12);
+        assert.ok(Math.abs(term.oddsRatioUpper - Math.exp(2 + criticalValue(ciLevel) * Math.sqrt(0.4))) < 1e-12);
+    });
+});
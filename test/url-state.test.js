@@ -0,0 +1,76 @@
+// Assessment state in the URL fragment: answers checked against the model, and the site recalibration in use
+// Run with `npm test` (node --test)
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeState, decodeState } from '../url-state.js';
+import { overlayId } from '../recalibration.js';
+
+const variables = [{ id: 'a', type: 'boolean' }, { id: 'b', type: 'boolean' }, { id: 'months', type: 'numeric', min: 0, max: 120 }];
+
+const state = {
+    answers: { a: true, b: null, months: 12 },
+    prevalence: '25',
+    range: ['20', '30'],
+    beta: null,
+    presetId: null,
+    ciLevel: '0.95',
+    thresholds: { mode: 'fixed', moderate: '30', high: '70' },
+    language: 'fr',
+    modelVersion: '4.1',
+    recalibration: null
+};
+
+const overlay = {
+    site: 'CHU Test',
+    scope: 'subset',
+    cohort: { n: 200, events: 40, prevalence: 0.2 },
+    global: { intercept: -0.3, slope: 0.8, vcov: [[0.01, 0], [0, 0.02]] },
+    models: {
+        b: { intercept: 0.1, slope: 0.9, vcov: [[0.02, 0], [0, 0.03]] },
+        a: { intercept: -0.2, slope: 0.7, vcov: [[0.02, 0], [0, 0.03]] }
+    }
+};
+
+test('a state without site recalibration round-trips', () => {
+    const fragment = encodeState(variables, state);
+    assert.equal(fragment.includes('s='), false);
+    const decoded = decodeState(variables, '#' + fragment);
+    assert.deepEqual(decoded.answers, state.answers);
+    assert.equal(decoded.answersMatch, true);
+    assert.equal(decoded.recalibration, null);
+});
+
+test('overlayId depends on the site and the fitted parameters, not on their order', () => {
+    const id = overlayId(overlay);
+    assert.match(id, /^[0-9a-f]{8}$/);
+    assert.equal(overlayId({ ...overlay, models: { a: overlay.models.a, b: overlay.models.b } }), id);
+    assert.notEqual(overlayId({ ...overlay, site: 'Other site' }), id);
+    assert.notEqual(overlayId({ ...overlay, global: { ...overlay.global, slope: 0.81 } }), id);
+
+    const decoded = decodeState(variables, encodeState(variables, { ...state, recalibration: id }));
+    assert.equal(decoded.recalibration, id);
+    assert.equal(decodeState(variables, '#a=y.n.-&s=not-an-id').recalibration, null);
+});
+
+test('a link whose answers are not values of their variables is not restored', () => {
+    const decoded = decodeState(variables, '#a=n.-.120');
+    assert.equal(decoded.answersMatch, true);
+    assert.deepEqual(decoded.answers, { a: false, b: null, months: 120 });
+
+    [
+        'y.n',           // another number of variables
+        '12.n.6',        // a number where a yes / no is expected
+        'y.n.y',         // a yes / no where a number is expected
+        'y.maybe.6',
+        'y.n.-3',
+        'y.n.121',       // beyond the variable's maximum
+        'y.n.1e3'
+    ].forEach(answers => {
+        const mismatched = decodeState(variables, `#a=${answers}&p=25`);
+        assert.equal(mismatched.answersMatch, false, answers);
+        assert.deepEqual(mismatched.answers, {});
+        assert.equal(mismatched.prevalence, '25');
+    });
+});
@@ -0,0 +1,124 @@
+// Sexual Abuse Suspicion Score - Assessment state in the URL fragment
+// The fragment holds the answers and the settings needed to reproduce a result exactly, e.g.
+//   #a=y.n.-.-.y.-.12&p=25&r=20-30&c=0.95&t=f30-70&l=fr&v=4.1&s=1f2e3d4c
+// s is the site recalibration applied (see overlayId in recalibration.js), absent without one.
+// Answers follow the model.json variable order: y / n / - for booleans, a number or - for numerics.
+// Nothing leaves the browser: the fragment is never sent to the server.
+
+const UNKNOWN = '-';
+// Settings are copied into form inputs, so only plain non-negative decimals are accepted
+const DECIMAL = /^\d+(\.\d+)?$/;
+
+// Encode an assessment state (without the leading '#')
+// state: { answers: { [variableId]: true | false | number | null }, prevalence, range: [lower, upper] | null,
+//          beta: [alpha, beta] | null, presetId, ciLevel, thresholds: { mode, moderate, high }, language, modelVersion,
+//          recalibration: overlay id | null }
+// Prevalence, range and cut-offs are the percentages as typed in the form
+export function encodeState(variables, state) {
+    const answers = variables.map(variable => {
+        const value = state.answers[variable.id];
+        if (value === null || value === undefined) {
+            return UNKNOWN;
+        }
+        if (variable.type === 'boolean') {
+            return value ? 'y' : 'n';
+        }
+        return String(value);
+    });
+
+    const params = new URLSearchParams();
+    params.set('a', answers.join('.'));
+    params.set('p', state.prevalence);
+    if (state.beta) {
+        params.set('b', state.beta.join('-'));
+    } else if (state.range) {
+        params.set('r', state.range.join('-'));
+    }
+    if (state.presetId) {
+        params.set('k', state.presetId);
+    }
+    params.set('c', state.ciLevel);
+    params.set('t', state.thresholds.mode === 'youden'
+        ? `y${state.thresholds.high}`
+        : `f${state.thresholds.moderate}-${state.thresholds.high}`);
+    params.set('l', state.language);
+    if (state.modelVersion) {
+        params.set('v', state.modelVersion);
+    }
+    if (state.recalibration) {
+        params.set('s', state.recalibration);
+    }
+    return params.toString();
+}
+
+// Two decimals joined by '-' (range or Beta parameters), or null
+function parsePair(text) {
+    const parts = (text || '').split('-');
+    return parts.length === 2 && parts.every(part => DECIMAL.test(part)) ? parts : null;
+}
+
+// Answer of one variable (true / false / number, null when unknown), or undefined when the text is not
+// a value of that variable: another type, or a number outside the variable's min / max
+function decodeAnswer(variable, part) {
+    if (part === UNKNOWN) {
+        return null;
+    }
+    if (variable.type === 'boolean') {
+        return part === 'y' ? true : part === 'n' ? false : undefined;
+    }
+    if (!DECIMAL.test(part)) {
+        return undefined;
+    }
+    const value = Number(part);
+    const belowMin = typeof variable.min === 'number' && value < variable.min;
+    const aboveMax = typeof variable.max === 'number' && value > variable.max;
+    return belowMin || aboveMax ? undefined : value;
+}
+
+// Decode a fragment (with or without the leading '#') into the state read by encodeState
+// Returns null when the fragment holds no assessment; malformed settings come back as null and are
+// left untouched in the form (the page checks that the language is one it supports). `answersMatch` is
+// false when the link has another number of answers than the model has variables, or an answer that is not
+// a value of its variable (made with a different variable set, or edited): the answers are then all dropped.
+export function decodeState(variables, fragment) {
+    const params = new URLSearchParams(fragment.replace(/^#/, ''));
+    if (!params.has('a')) {
+        return null;
+    }
+
+    const parts = params.get('a').split('.');
+    const decoded = parts.length === variables.length
+        ? variables.map((variable, index) => decodeAnswer(variable, parts[index]))
+        : [];
+    const answersMatch = parts.length === variables.length && decoded.every(value => value !== undefined);
+    const answers = {};
+    if (answersMatch) {
+        variables.forEach((variable, index) => {
+            answers[variable.id] = decoded[index];
+        });
+    }
+
+    const setting = (key) => (DECIMAL.test(params.get(key) || '') ? params.get(key) : null);
+    const thresholdText = params.get('t') || '';
+    let thresholds = null;
+    if (/^y\d+(\.\d+)?$/.test(thresholdText)) {
+        thresholds = { mode: 'youden', high: thresholdText.slice(1) };
+    } else if (thresholdText.startsWith('f') && parsePair(thresholdText.slice(1))) {
+        const [moderate, high] = parsePair(thresholdText.slice(1));
+        thresholds = { mode: 'fixed', moderate, high };
+    }
+
+    return {
+        answers,
+        answersMatch,
+        prevalence: setting('p'),
+        range: parsePair(params.get('r')),
+        beta: parsePair(params.get('b')),
+        presetId: params.get('k'),
+        ciLevel: setting('c'),
+        thresholds,
+        language: /^[a-z]{2}$/.test(params.get('l') || '') ? params.get('l') : null,
+        modelVersion: params.get('v'),
+        recalibration: /^[0-9a-f]{8}$/.test(params.get('s') || '') ? params.get('s') : null
+    };
+}